@@ -8,6 +8,8 @@ const fetch = require("node-fetch");
 const FormData = require("form-data");
 const dotenv = require("dotenv");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
 
 dotenv.config({ path: __dirname + "/.env" });
 
@@ -16,7 +18,195 @@ app.use(cors());
 app.use(express.json({ limit: "20mb" }));
 app.use(express.static(path.join(__dirname, "..", "vistapj")));
 
-const sessions = new Map();
+// =======================================================
+// SESSION STORE
+// =======================================================
+// SESSION_STORE=memory (default) keeps sessions in process memory only.
+// SESSION_STORE=file snapshots them to SESSION_STORE_FILE so paired screens
+// survive a restart. Both expose the same Map-like surface.
+const SESSION_STORE = process.env.SESSION_STORE || "memory";
+const SESSION_STORE_FILE =
+  process.env.SESSION_STORE_FILE || path.join(__dirname, "data", "sessions.json");
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const SESSION_SWEEP_MS = Number(process.env.SESSION_SWEEP_MS) || 60 * 1000;
+const SESSION_FLUSH_MS = 1000;
+const MAX_COMMAND_HISTORY = Number(process.env.MAX_COMMAND_HISTORY) || 200;
+
+// Maps and live stream connections do not survive JSON, so they are
+// flattened here and rebuilt by hydrateSession. Plain fields pass through.
+function serializeSession(sess) {
+  const { commands, devices, tokens, clients, ...rest } = sess;
+  return {
+    ...rest,
+    commands: Array.from(commands.values()),
+    devices: Array.from(devices.values()),
+    tokens: Array.from(tokens.entries())
+  };
+}
+
+function hydrateSession(data) {
+  return {
+    ...data,
+    commands: new Map((data.commands || []).map((cmd) => [cmd.id, cmd])),
+    devices: new Map((data.devices || []).map((device) => [device.id, device])),
+    tokens: new Map(data.tokens || []),
+    clients: new Set()
+  };
+}
+
+function createMemorySessionStore() {
+  const map = new Map();
+  return {
+    get: (id) => map.get(id),
+    has: (id) => map.has(id),
+    set(id, sess) {
+      map.set(id, sess);
+      this.markDirty();
+      return this;
+    },
+    delete(id) {
+      const removed = map.delete(id);
+      if (removed) this.markDirty();
+      return removed;
+    },
+    forEach: (fn) => map.forEach(fn),
+    [Symbol.iterator]: () => map[Symbol.iterator](),
+    get size() {
+      return map.size;
+    },
+    entries: () => map.entries(),
+    markDirty() {},
+    load() {},
+    flushSync() {}
+  };
+}
+
+function createFileSessionStore(file) {
+  const store = createMemorySessionStore();
+  let timer = null;
+  let writing = false;
+  let dirty = false;
+
+  const snapshot = () => {
+    const data = {};
+    for (const [id, sess] of store.entries()) {
+      data[id] = serializeSession(sess);
+    }
+    return JSON.stringify({ version: 1, savedAt: Date.now(), sessions: data });
+  };
+
+  const write = async () => {
+    timer = null;
+    if (writing) {
+      dirty = true;
+      return;
+    }
+    writing = true;
+    dirty = false;
+    try {
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, snapshot());
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.error("Session store write failed:", err);
+    } finally {
+      writing = false;
+      if (dirty) store.markDirty();
+    }
+  };
+
+  store.markDirty = () => {
+    if (!timer) timer = setTimeout(write, SESSION_FLUSH_MS);
+  };
+
+  store.load = () => {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Session store read failed:", err);
+      return;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      Object.entries(parsed.sessions || {}).forEach(([id, data]) => {
+        store.set(id, hydrateSession(data));
+      });
+      console.log(`Loaded ${store.size} session(s) from ${file}`);
+    } catch (err) {
+      console.error("Session store is corrupt, starting empty:", err);
+    }
+  };
+
+  store.flushSync = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, snapshot());
+    } catch (err) {
+      console.error("Session store flush failed:", err);
+    }
+  };
+
+  return store;
+}
+
+function createSessionStore() {
+  if (SESSION_STORE === "file") return createFileSessionStore(SESSION_STORE_FILE);
+  if (SESSION_STORE !== "memory") {
+    console.warn(`Unknown SESSION_STORE "${SESSION_STORE}", using memory`);
+  }
+  return createMemorySessionStore();
+}
+
+const sessions = createSessionStore();
+sessions.load();
+
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    sessions.flushSync();
+    process.exit(0);
+  });
+});
+
+function touchSession(sess) {
+  sess.lastActiveAt = Date.now();
+  sessions.markDirty();
+}
+
+// Drop the oldest finished commands once a session holds more than
+// MAX_COMMAND_HISTORY. Commands still in flight are never trimmed.
+function trimCommandHistory(sess) {
+  let excess = sess.commands.size - MAX_COMMAND_HISTORY;
+  if (excess <= 0) return;
+  for (const [id, cmd] of sess.commands) {
+    if (excess <= 0) break;
+    if (TERMINAL_STATUSES.has(cmd.status)) {
+      sess.commands.delete(id);
+      excess -= 1;
+    }
+  }
+}
+
+function isSessionExpired(sess, now) {
+  if (sess.clients.size) return false;
+  return now - (sess.lastActiveAt || sess.createdAt) > SESSION_TTL_MS;
+}
+
+function sweepSessions() {
+  const now = Date.now();
+  for (const [id, sess] of sessions.entries()) {
+    if (isSessionExpired(sess, now)) {
+      sessions.delete(id);
+      continue;
+    }
+    trimCommandHistory(sess);
+  }
+}
+
+setInterval(sweepSessions, SESSION_SWEEP_MS).unref();
 
 function createSessionId() {
   return (
@@ -25,8 +215,142 @@ function createSessionId() {
   ).toUpperCase();
 }
 
+const SHORT_CODE_TTL_MS = Number(process.env.SHORT_CODE_TTL_MS) || 10 * 60 * 1000;
+const DEVICE_ROLES = ["controller", "presenter"];
+
+function isCodeLive(sess, now) {
+  return Boolean(sess.code) && sess.codeExpiresAt > now;
+}
+
+// Short codes only have ~1.7M combinations, so retry until none of the
+// live sessions is already using the candidate.
 function createShortCode() {
-  return "VISTA-" + Math.random().toString(36).slice(2, 6).toUpperCase();
+  const now = Date.now();
+  const taken = new Set();
+  sessions.forEach((sess) => {
+    if (isCodeLive(sess, now)) taken.add(sess.code);
+  });
+  let code = "";
+  do {
+    code = "VISTA-" + Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, "0");
+  } while (taken.has(code));
+  return code;
+}
+
+function normalizeShortCode(input) {
+  const raw = String(input || "").trim().toUpperCase().replace(/\s+/g, "");
+  if (!raw) return "";
+  return raw.startsWith("VISTA-") ? raw : `VISTA-${raw.replace(/^VISTA/, "")}`;
+}
+
+function findSessionByCode(input) {
+  const code = normalizeShortCode(input);
+  if (!code) return null;
+  const now = Date.now();
+  for (const [sessionId, sess] of sessions) {
+    if (sess.code === code && isCodeLive(sess, now)) {
+      return { sessionId, sess };
+    }
+  }
+  return null;
+}
+
+function assignShortCode(sess) {
+  sess.code = createShortCode();
+  sess.codeExpiresAt = Date.now() + SHORT_CODE_TTL_MS;
+  sessions.markDirty();
+  return sess.code;
+}
+
+function createDeviceId() {
+  return "dev_" + Math.random().toString(36).slice(2, 10);
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// Every device gets its own token so it can be revoked without touching the others.
+function registerDevice(sess, { role, name, groups }) {
+  const now = Date.now();
+  const device = {
+    id: createDeviceId(),
+    role,
+    name: name ? String(name).slice(0, 64) : role,
+    joinedAt: now,
+    lastSeen: now
+  };
+  if (role === "presenter") {
+    device.groups = normalizeGroups(groups);
+    device.queue = [];
+  }
+  const token = createToken();
+  sess.devices.set(device.id, device);
+  sess.tokens.set(token, device.id);
+  touchSession(sess);
+  return { device, token };
+}
+
+function normalizeGroups(groups) {
+  const list = Array.isArray(groups) ? groups : groups ? [groups] : [];
+  return Array.from(new Set(list.map((group) => String(group).trim()).filter(Boolean)));
+}
+
+function revokeDevice(sess, deviceId) {
+  if (!sess.devices.has(deviceId)) return false;
+  sess.devices.delete(deviceId);
+  sess.commands.forEach((cmd) => {
+    const delivery = cmd.deliveries[deviceId];
+    if (delivery && !TERMINAL_STATUSES.has(delivery.status)) {
+      setDeliveryStatus(cmd, deviceId, "expired", { error: "Device revoked" });
+    }
+  });
+  sess.tokens.forEach((owner, token) => {
+    if (owner === deviceId) sess.tokens.delete(token);
+  });
+  sess.clients.forEach((client) => {
+    if (client.deviceId === deviceId) client.res.end();
+  });
+  sessions.markDirty();
+  return true;
+}
+
+function getRequestToken(req) {
+  const auth = req.get("Authorization") || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  // EventSource cannot set headers, so the stream passes ?token= instead.
+  return req.get("X-Vista-Token") || req.query.token || (req.body && req.body.token) || "";
+}
+
+// Resolve the caller's device from its token and check it may use this route.
+// Sends the 401/403 itself and returns null when it may not.
+function authorizeDevice(req, res, sess, roles) {
+  const token = getRequestToken(req);
+  if (!token) {
+    res.status(401).json({ error: "Missing session token" });
+    return null;
+  }
+  const device = sess.devices.get(sess.tokens.get(token));
+  if (!device) {
+    res.status(401).json({ error: "Invalid session token" });
+    return null;
+  }
+  if (!roles.includes(device.role)) {
+    res.status(403).json({ error: `Token is not valid for a ${roles.join(" or ")}` });
+    return null;
+  }
+  device.lastSeen = Date.now();
+  touchSession(sess);
+  return device;
+}
+
+function listDevices(sess) {
+  return Array.from(sess.devices.values());
+}
+
+function describeDevice(device) {
+  const { queue, ...rest } = device;
+  return queue ? { ...rest, queued: queue.length } : rest;
 }
 
 function getSession(sessionId) {
@@ -38,1003 +362,4712 @@ function ensureSession(sessionId) {
   return null;
 }
 
-// Test route
-app.get("/", (req, res) => {
-  res.send("VISTA backend is running.");
-});
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_RETRY_MS = 3000;
 
-// =======================================================
-// SESSION + REMOTE COMMANDS (MVP)
-// =======================================================
-app.post("/api/session", (req, res) => {
-  const sessionId = createSessionId();
-  const code = createShortCode();
-  sessions.set(sessionId, {
-    code,
-    queue: [],
-    commands: new Map(),
-    createdAt: Date.now()
-  });
-  res.json({ session: sessionId, code });
-});
+function createCommandId() {
+  return `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`;
+}
 
-app.get("/api/session/:id", (req, res) => {
-  const sessionId = req.params.id;
-  if (!sessionId) return res.status(400).json({ error: "Missing session id" });
-  if (!sessions.has(sessionId)) return res.status(404).json({ error: "Session not found" });
-  res.json({ ok: true });
-});
+function writeStreamEvent(res, record, deviceId) {
+  res.write(`id: ${record.id}\n`);
+  res.write("event: command\n");
+  res.write(`data: ${JSON.stringify(commandForDevice(record, deviceId))}\n\n`);
+}
 
-app.post("/api/cmd", (req, res) => {
-  const { session, command } = req.body || {};
-  if (!session || !command) {
-    return res.status(400).json({ error: "Missing session or command" });
+const COMMAND_ACK_TIMEOUT_MS = Number(process.env.COMMAND_ACK_TIMEOUT_MS) || 15000;
+const COMMAND_RUN_TIMEOUT_MS = Number(process.env.COMMAND_RUN_TIMEOUT_MS) || 120000;
+const COMMAND_QUEUE_TTL_MS = Number(process.env.COMMAND_QUEUE_TTL_MS) || 5 * 60 * 1000;
+const COMMAND_MAX_ATTEMPTS = Number(process.env.COMMAND_MAX_ATTEMPTS) || 3;
+const COMMAND_SWEEP_MS = 5000;
+
+// queued -> delivered -> running -> succeeded | failed
+// Anything can fall through to expired when the presenter never answers.
+// Each targeted presenter has its own delivery; the command status is the
+// least advanced pending delivery, or the worst outcome once all are done.
+const PENDING_STATUSES = ["queued", "delivered", "running"];
+const TERMINAL_STATUSES = new Set(["succeeded", "failed", "expired"]);
+
+function refreshCommandStatus(record) {
+  const deliveries = Object.values(record.deliveries);
+  const pending = PENDING_STATUSES.find((status) =>
+    deliveries.some((delivery) => delivery.status === status)
+  );
+  let status = pending;
+  if (!status) {
+    status = deliveries.some((d) => d.status === "failed")
+      ? "failed"
+      : deliveries.some((d) => d.status === "expired")
+        ? "expired"
+        : "succeeded";
   }
+  const done = deliveries.find((d) => d.status === "succeeded" && d.result != null);
+  const broken = deliveries.find((d) => d.error);
+  record.status = status;
+  record.result = done ? done.result : null;
+  record.error = broken ? broken.error : null;
+  record.updatedAt = Date.now();
+  sessions.markDirty();
+  return record;
+}
 
-  const sess = ensureSession(session);
-  if (!sess) {
-    return res.status(404).json({ error: "Session not found" });
-  }
+function setDeliveryStatus(record, deviceId, status, extra) {
+  const delivery = record.deliveries[deviceId];
+  delivery.status = status;
+  delivery.updatedAt = Date.now();
+  if (extra) Object.assign(delivery, extra);
+  return refreshCommandStatus(record);
+}
 
-  const id = `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`;
-  const record = {
-    id,
-    ...command,
-    status: "sent",
-    ts: Date.now()
+function markDelivered(record, deviceId) {
+  const delivery = record.deliveries[deviceId];
+  return setDeliveryStatus(record, deviceId, "delivered", {
+    attempts: delivery.attempts + 1,
+    deliveredAt: Date.now()
+  });
+}
+
+// What a single presenter sees: its own delivery status, not the aggregate.
+function commandForDevice(record, deviceId) {
+  const { deliveries, ...rest } = record;
+  const delivery = deliveries[deviceId] || {};
+  return {
+    ...rest,
+    device: deviceId,
+    status: delivery.status || record.status,
+    attempts: delivery.attempts || 0
   };
+}
 
-  sess.queue.push(record);
-  sess.commands.set(id, record);
+function deviceQueue(device) {
+  if (!Array.isArray(device.queue)) device.queue = [];
+  return device.queue;
+}
 
-  res.json({ ok: true, id });
-});
+function removeFromQueue(device, commandId) {
+  device.queue = deviceQueue(device).filter((id) => id !== commandId);
+}
 
-app.get("/api/check", (req, res) => {
-  const session = req.query.session;
-  if (!session) return res.status(400).json({ error: "Missing session" });
+// Push a command to the presenter's open /api/stream connections, or park it
+// in that presenter's queue for /api/check when it has none.
+function deliverToDevice(sess, record, deviceId, { front = false } = {}) {
+  const clients = Array.from(sess.clients).filter((client) => client.deviceId === deviceId);
+  if (!clients.length) {
+    const device = sess.devices.get(deviceId);
+    if (device) {
+      if (front) deviceQueue(device).unshift(record.id);
+      else deviceQueue(device).push(record.id);
+    }
+    return false;
+  }
+  markDelivered(record, deviceId);
+  clients.forEach((client) => writeStreamEvent(client.res, record, deviceId));
+  return true;
+}
 
-  const sess = getSession(session);
-  if (!sess) return res.status(404).json({ error: "Session not found" });
+// Pop the next command still waiting for this presenter.
+function nextQueuedCommand(sess, device) {
+  const queue = deviceQueue(device);
+  while (queue.length) {
+    const record = sess.commands.get(queue.shift());
+    const delivery = record && record.deliveries[device.id];
+    if (delivery && delivery.status === "queued") return record;
+  }
+  return null;
+}
 
-  const cmd = sess.queue.shift() || null;
-  if (cmd) {
-    cmd.status = "executed";
-    sess.commands.set(cmd.id, cmd);
+// target: "all" (default), { device }, { devices: [...] } or { group }.
+function resolveTargets(sess, target) {
+  const presenters = listDevices(sess).filter((device) => device.role === "presenter");
+  if (!target || target === "all" || target.all) return presenters;
+  if (typeof target === "string") {
+    return presenters.filter((device) => device.id === target);
+  }
+  if (target.device) {
+    return presenters.filter((device) => device.id === target.device);
+  }
+  if (Array.isArray(target.devices)) {
+    return presenters.filter((device) => target.devices.includes(device.id));
+  }
+  if (target.group) {
+    return presenters.filter((device) => (device.groups || []).includes(target.group));
   }
+  throw new Error("Invalid target");
+}
 
-  res.json({ command: cmd });
-});
+// Commands the server sends on its own. They are not user activity, so they
+// must not keep an abandoned session alive past SESSION_TTL_MS.
+const BACKGROUND_ORIGINS = new Set(["playlist", "schedule"]);
 
-app.get("/api/status", (req, res) => {
-  const session = req.query.session;
-  const id = req.query.id;
-  if (!session || !id) return res.status(400).json({ error: "Missing session or id" });
+function enqueueCommand(sess, command, target) {
+  const targets = resolveTargets(sess, target);
+  if (!targets.length) {
+    throw new Error("No presenter matches target");
+  }
 
-  const sess = getSession(session);
-  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const id = createCommandId();
+  const now = Date.now();
+  const deliveries = {};
+  targets.forEach((device) => {
+    deliveries[device.id] = {
+      status: "queued",
+      attempts: 0,
+      result: null,
+      error: null,
+      queuedAt: now,
+      updatedAt: now
+    };
+  });
+  // The server's own fields come last so a client cannot override them.
+  const record = {
+    ...command,
+    id,
+    target: target || "all",
+    status: "queued",
+    result: null,
+    error: null,
+    ts: now,
+    updatedAt: now,
+    deliveries
+  };
 
-  const cmd = sess.commands.get(id);
-  if (!cmd) return res.status(404).json({ error: "Command not found" });
+  sess.commands.set(id, record);
+  targets.forEach((device) => deliverToDevice(sess, record, device.id));
+  trimCommandHistory(sess);
+  if (BACKGROUND_ORIGINS.has(command.origin)) sessions.markDirty();
+  else touchSession(sess);
+  return record;
+}
 
-  res.json({ status: cmd.status });
-});
+// Commands recorded after `lastId` that this presenter received but never
+// acknowledged. Used to resume a stream after a dropped connection.
+function commandsSince(sess, deviceId, lastId) {
+  if (!lastId || !sess.commands.has(lastId)) return [];
+  const missed = [];
+  let found = false;
+  sess.commands.forEach((cmd, id) => {
+    const delivery = cmd.deliveries[deviceId];
+    if (found && delivery && delivery.status === "delivered") missed.push(cmd);
+    if (id === lastId) found = true;
+  });
+  return missed;
+}
+
+// Redeliver commands a presenter never acknowledged and expire the ones
+// that ran out of attempts or sat too long in its queue.
+function sweepCommands(sess, now) {
+  const retry = [];
+  sess.commands.forEach((cmd) => {
+    if (TERMINAL_STATUSES.has(cmd.status)) return;
+    Object.entries(cmd.deliveries).forEach(([deviceId, delivery]) => {
+      if (delivery.status === "queued" && now - delivery.queuedAt >= COMMAND_QUEUE_TTL_MS) {
+        const device = sess.devices.get(deviceId);
+        if (device) removeFromQueue(device, cmd.id);
+        setDeliveryStatus(cmd, deviceId, "expired", { error: "Not delivered in time" });
+      } else if (
+        delivery.status === "delivered" &&
+        now - delivery.deliveredAt >= COMMAND_ACK_TIMEOUT_MS
+      ) {
+        if (delivery.attempts >= COMMAND_MAX_ATTEMPTS) {
+          setDeliveryStatus(cmd, deviceId, "expired", { error: "Not acknowledged" });
+        } else {
+          retry.push([cmd, deviceId]);
+        }
+      } else if (delivery.status === "running" && now - delivery.updatedAt >= COMMAND_RUN_TIMEOUT_MS) {
+        setDeliveryStatus(cmd, deviceId, "expired", { error: "No result reported" });
+      }
+    });
+  });
+
+  retry.forEach(([cmd, deviceId]) => {
+    setDeliveryStatus(cmd, deviceId, "queued");
+    deliverToDevice(sess, cmd, deviceId, { front: true });
+  });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  sessions.forEach((sess) => sweepCommands(sess, now));
+}, COMMAND_SWEEP_MS).unref();
 
 // =======================================================
-// SPEECH-TO-TEXT (OPENAI WHISPER)
+// PRESENTER STATE
 // =======================================================
-app.post("/api/transcribe", async (req, res) => {
-  const { audio, mime } = req.body || {};
-  if (!audio) return res.status(400).json({ error: "Missing audio" });
-
-  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
-  if (!apiKey) return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
+// The session owns the presenter's state so every client (and the agent)
+// reads the same values instead of trusting whatever the caller sends.
+const VIEWS = ["weather", "gallery"];
+const RATIOS = ["1:1", "4:3", "16:9", "3:4", "9:16"];
+
+function createPresenterState() {
+  return {
+    view: "gallery",
+    current_image: "",
+    preferred_ratio: "1:1",
+    last_search: null,
+    last_generation: null,
+    updatedAt: Date.now()
+  };
+}
 
-  try {
-    const buffer = Buffer.from(audio, "base64");
-    const form = new FormData();
-    form.append("model", "whisper-1");
-    form.append("language", "en");
-    form.append("file", buffer, {
-      filename: "speech.webm",
-      contentType: mime || "audio/webm"
-    });
+function getPresenterState(sess) {
+  if (!sess.state) sess.state = createPresenterState();
+  return sess.state;
+}
 
-    const r = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: form
-    });
+// Validate a partial update. Unknown keys are ignored; bad values throw.
+function patchPresenterState(sess, patch) {
+  const state = getPresenterState(sess);
+  if (!patch || typeof patch !== "object") return state;
 
-    const data = await r.json();
-    if (!r.ok) {
-      return res.status(500).json({ error: data.error?.message || "Transcription failed" });
+  if (patch.view !== undefined) {
+    if (!VIEWS.includes(patch.view)) throw new Error("Invalid view");
+    state.view = patch.view;
+  }
+  if (patch.current_image !== undefined) {
+    state.current_image = patch.current_image ? String(patch.current_image) : "";
+  }
+  if (patch.preferred_ratio !== undefined) {
+    if (!RATIOS.includes(patch.preferred_ratio)) throw new Error("Invalid preferred_ratio");
+    state.preferred_ratio = patch.preferred_ratio;
+  }
+  ["last_search", "last_generation"].forEach((key) => {
+    if (patch[key] === undefined) return;
+    if (patch[key] !== null && typeof patch[key] !== "object") {
+      throw new Error(`Invalid ${key}`);
     }
-    res.json({ text: data.text || "" });
+    state[key] = patch[key];
+  });
+
+  state.updatedAt = Date.now();
+  sessions.markDirty();
+  return state;
+}
+
+// Reflect a command the presenter finished into the session state.
+// A presenter may also report `result.state` to correct anything else.
+function applyCommandToState(sess, cmd) {
+  const type = cmd.type || cmd.action || "";
+  const patch = {};
+  if (type === "set_view" && cmd.view) patch.view = cmd.view;
+  if (type === "show_image" && (cmd.url || cmd.image)) {
+    patch.current_image = cmd.url || cmd.image;
+    patch.view = "gallery";
+  }
+  if (type === "set_ratio" && cmd.ratio) patch.preferred_ratio = cmd.ratio;
+  if (cmd.result && typeof cmd.result === "object" && cmd.result.state) {
+    Object.assign(patch, cmd.result.state);
+  }
+  if (!Object.keys(patch).length) return;
+  try {
+    patchPresenterState(sess, patch);
   } catch (err) {
-    console.error("Transcribe Error:", err);
-    res.status(500).json({ error: "Transcription failed" });
+    console.error("Presenter state update skipped:", err.message);
   }
-});
+}
+
+// Remember what the agent last searched or generated for this session.
+function recordToolInState(sess, name, args, result) {
+  if (!sess || !result) return;
+  const at = Date.now();
+  if (name === "search_library") {
+    patchPresenterState(sess, {
+      last_search: {
+        query: args.query || "",
+        source: result.source || args.source || "multi",
+        ratio: args.ratio || "",
+        images: Array.isArray(result.images) ? result.images.slice(0, 30) : [],
+        at
+      }
+    });
+  }
+  if (name === "generate_ai") {
+    patchPresenterState(sess, {
+      last_generation: {
+        prompt: args.prompt || "",
+        aspect_ratio: args.aspect_ratio || "",
+        images: Array.isArray(result.images) ? result.images : [],
+        at
+      }
+    });
+  }
+  if (name === "refine_image" && result.image) {
+    patchPresenterState(sess, {
+      last_generation: {
+        prompt: args.prompt || "",
+        input_image: args.input_image || "",
+        images: [result.image],
+        at
+      }
+    });
+  }
+}
 
 // =======================================================
-// AGENT ROUTER + EXECUTOR (SEARCH/GENERATE/REFINE)
+// SLIDESHOW PLAYLIST
 // =======================================================
-async function callOpenAIResponses({ input, tools, previous_response_id }) {
-  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
-  if (!apiKey) {
-    throw new Error("Missing OPENAI_API_KEY");
+// The server owns slideshow timing: a playlist lives on the session (so it
+// survives reloads and restarts) and a single ticker pushes "show_image"
+// commands to the presenter whenever the current slide is due.
+const PLAYLIST_MIN_INTERVAL_MS = 3000;
+const PLAYLIST_DEFAULT_INTERVAL_MS = 10000;
+const PLAYLIST_TICK_MS = 1000;
+const PLAYLIST_MAX_ITEMS = 500;
+
+function shuffledOrder(length, first) {
+  const order = Array.from({ length }, (_, i) => i).filter((i) => i !== first);
+  for (let i = order.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
   }
+  return first == null ? order : [first].concat(order);
+}
 
-  const model = process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini";
-  const r = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      input: Array.isArray(input) ? input : [],
-      tools,
-      tool_choice: "auto",
-      temperature: 0.6,
-      previous_response_id
-    })
-  });
-
-  const data = await r.json();
-  if (!r.ok) {
-    throw new Error(data.error?.message || "OpenAI responses failed");
-  }
-  return data;
+function linearOrder(length) {
+  return Array.from({ length }, (_, i) => i);
 }
 
-function extractOutputText(response) {
-  if (!response) return "";
-  if (typeof response.output_text === "string" && response.output_text.trim()) {
-    return response.output_text;
+// Resolve playlist images from an explicit list or from what the session
+// last searched, generated or refined.
+function playlistImagesFrom(sess, { images, from }) {
+  if (Array.isArray(images) && images.length) {
+    return images.map((item) => (item && item.url ? item.url : item)).filter(
+      (url) => typeof url === "string" && url
+    );
   }
-  const output = Array.isArray(response.output) ? response.output : [];
-  let text = "";
-  output.forEach((item) => {
-    if (!item) return;
-    if (item.type === "output_text" && item.text) {
-      text += item.text;
-    }
-    if (item.type === "message" && Array.isArray(item.content)) {
-      item.content.forEach((part) => {
-        if (!part) return;
-        if ((part.type === "text" || part.type === "output_text") && part.text) {
-          text += part.text;
-        }
-      });
-    }
-  });
-  return text;
+  const state = getPresenterState(sess);
+  const origin = from === "last_generation" ? state.last_generation : state.last_search;
+  return origin && Array.isArray(origin.images) ? origin.images.slice() : [];
 }
 
-function extractToolCalls(response) {
-  const output = Array.isArray(response && response.output) ? response.output : [];
-  const calls = [];
-  output.forEach((item) => {
-    if (!item) return;
-    if (item.type === "tool_call" || item.type === "function_call") {
-      calls.push(item);
-    }
-    if (item.type === "message" && Array.isArray(item.content)) {
-      item.content.forEach((part) => {
-        if (!part) return;
-        if (part.type === "tool_call" || part.type === "function_call") {
-          calls.push(part);
-        }
-      });
-    }
-  });
-  return calls;
+function createPlaylist(images, options = {}) {
+  const items = images.slice(0, PLAYLIST_MAX_ITEMS);
+  const intervalMs = Math.max(
+    PLAYLIST_MIN_INTERVAL_MS,
+    Number(options.interval_seconds) * 1000 || PLAYLIST_DEFAULT_INTERVAL_MS
+  );
+  const shuffle = Boolean(options.shuffle);
+  const startIndex = Math.min(Math.max(Number(options.start_index) || 0, 0), items.length - 1);
+  return {
+    items,
+    order: shuffle ? shuffledOrder(items.length, startIndex) : linearOrder(items.length),
+    position: shuffle ? 0 : startIndex,
+    intervalMs,
+    shuffle,
+    loop: options.loop !== false,
+    paused: false,
+    ended: false,
+    target: options.target || "all",
+    nextAt: 0,
+    createdAt: Date.now()
+  };
 }
 
-function parseISODate(text) {
-  const match = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
-  return match ? match[1] : "";
+function describePlaylist(playlist) {
+  if (!playlist) return null;
+  const { order, ...rest } = playlist;
+  return {
+    ...rest,
+    total: playlist.items.length,
+    current: playlist.items[order[playlist.position]] || null
+  };
 }
 
-function formatDateOffset(days) {
-  const d = new Date();
-  d.setDate(d.getDate() + days);
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
+function showPlaylistItem(sess, playlist = sess.playlist) {
+  const url = playlist.items[playlist.order[playlist.position]];
+  playlist.nextAt = Date.now() + playlist.intervalMs;
+  sessions.markDirty();
+  return enqueueCommand(
+    sess,
+    {
+      type: "show_image",
+      url,
+      origin: "playlist",
+      playlist: { position: playlist.position, total: playlist.items.length }
+    },
+    playlist.target
+  );
 }
 
-function extractCity(text) {
-  const inMatch = text.match(/\bin\s+([a-z\s]+)$/i);
-  if (inMatch && inMatch[1]) return inMatch[1].trim();
-  const weatherMatch = text.match(/([a-z\s]+)\s+weather/i);
-  if (weatherMatch && weatherMatch[1]) return weatherMatch[1].trim();
-  const zhMatch = text.match(/([\u4e00-\u9fa5A-Za-z\s]+)天气/);
-  if (zhMatch && zhMatch[1]) return zhMatch[1].trim();
-  return "";
+// Move `delta` slides. Past either end the playlist wraps when looping
+// (reshuffling on each pass) and otherwise stops on the last slide.
+function stepPlaylist(sess, delta) {
+  const playlist = sess.playlist;
+  const total = playlist.items.length;
+  let position = playlist.position + delta;
+  if (position >= total || position < 0) {
+    if (!playlist.loop) {
+      playlist.paused = true;
+      playlist.ended = true;
+      sessions.markDirty();
+      return null;
+    }
+    position = (position + total) % total;
+    if (playlist.shuffle && delta > 0) playlist.order = shuffledOrder(total);
+  }
+  playlist.position = position;
+  playlist.ended = false;
+  return showPlaylistItem(sess);
 }
 
-function inferToolFromText(message, state) {
-  const text = String(message || "").toLowerCase().trim();
-  if (!text) return null;
-
-  const isGreeting = /^(hi|hello|hey|yo|你好|嗨|早上好|下午好|晚上好|早)$/i.test(text);
-  if (isGreeting) {
-    return { reply: "Hi! What would you like to do—search images, generate, or check weather?" };
-  }
+function startPlaylist(sess, items, options) {
+  if (!items.length) throw new Error("No images for the playlist");
+  // Only keep the playlist once its first slide was queued, so a bad target
+  // does not leave one behind for the ticker.
+  const playlist = createPlaylist(items, options);
+  const record = showPlaylistItem(sess, playlist);
+  sess.playlist = playlist;
+  return record;
+}
 
-  const wantsRefine = /refine|edit|retouch|adjust|add|remove|replace|dof|depth of field|blur|bokeh|修|改|调整|虚化|景深|添加|去掉|替换/.test(text);
-  if (wantsRefine) {
-    if (state && state.current_image) {
-      return {
-        tools: [
-          { name: "refine_image", args: { prompt: message, input_image: state.current_image } }
-        ]
-      };
+// Controls shared by the REST route and `{ type: "playlist" }` session commands.
+// Returns the command that changed the screen, if any.
+function controlPlaylist(sess, action, value) {
+  const playlist = sess.playlist;
+  if (!playlist) throw new Error("No playlist");
+
+  switch (action) {
+    case "pause":
+      playlist.paused = true;
+      break;
+    case "resume":
+    case "play":
+      if (playlist.ended) {
+        playlist.position = 0;
+        playlist.ended = false;
+        playlist.paused = false;
+        return showPlaylistItem(sess);
+      }
+      playlist.paused = false;
+      playlist.nextAt = Date.now() + playlist.intervalMs;
+      break;
+    case "next":
+    case "skip":
+      return stepPlaylist(sess, Number.isInteger(value) && value > 0 ? value : 1);
+    case "previous":
+    case "prev":
+      return stepPlaylist(sess, -1);
+    case "shuffle": {
+      playlist.shuffle = value === undefined ? !playlist.shuffle : Boolean(value);
+      const current = playlist.order[playlist.position];
+      playlist.order = playlist.shuffle
+        ? shuffledOrder(playlist.items.length, current)
+        : linearOrder(playlist.items.length);
+      playlist.position = playlist.shuffle ? 0 : current;
+      break;
     }
-    return { reply: "Please open an image in the gallery first so I can refine it." };
+    case "loop":
+      playlist.loop = value === undefined ? !playlist.loop : Boolean(value);
+      break;
+    case "interval":
+      playlist.intervalMs = Math.max(PLAYLIST_MIN_INTERVAL_MS, Number(value) * 1000 || 0);
+      playlist.nextAt = Date.now() + playlist.intervalMs;
+      break;
+    case "stop":
+      sess.playlist = null;
+      break;
+    default:
+      throw new Error("Invalid playlist action");
   }
+  sessions.markDirty();
+  return null;
+}
 
-  const wantsHistory = /yesterday|last week|last 7 days|过去|昨天|前天|上周/.test(text);
-  if (wantsHistory) {
-    const city = extractCity(text);
-    const date =
-      parseISODate(text) ||
-      (text.includes("yesterday") || text.includes("昨天") ? formatDateOffset(-1) : "") ||
-      (text.includes("前天") ? formatDateOffset(-2) : "") ||
-      (text.includes("last week") || text.includes("上周") ? formatDateOffset(-7) : "");
-    if (!city) {
-      return { reply: "Which city?" };
-    }
-    if (!date) {
-      return { reply: "Which date should I check?" };
-    }
-    return {
-      tools: [
-        { name: "get_weather_history", args: { city, date } }
-      ]
-    };
+// Route a command the way /api/cmd does. Playlist controls travel over the
+// same channel but are handled here; the presenter only sees the
+// "show_image" commands they produce.
+function dispatchCommand(sess, command, target) {
+  if (command.type === "playlist") {
+    return controlPlaylist(sess, command.action, command.value);
   }
+  return enqueueCommand(sess, command, target);
+}
 
-  const wantsSearch = /show me|search|find|image|picture|photo|搜|搜索|找|图|图片|照片/.test(text);
-  if (wantsSearch && !/weather|天气/.test(text)) {
-    let query = text
-      .replace(/show me|search|find|images of|image of|pictures of|picture of|photos of|photo of/gi, "")
-      .replace(/搜|搜索|找|图片|照片|图/g, "")
-      .trim();
-    if (!query) {
-      return { reply: "What should I search for?" };
+function tickPlaylists() {
+  const now = Date.now();
+  sessions.forEach((sess) => {
+    const playlist = sess.playlist;
+    if (!playlist || playlist.paused || playlist.nextAt > now) return;
+    try {
+      stepPlaylist(sess, 1);
+    } catch (err) {
+      // No matching presenter right now; try again on the next slot.
+      playlist.nextAt = now + playlist.intervalMs;
     }
-    const ratio = state?.preferred_ratio || state?.ratio || "1:1";
-    return {
-      tools: [
-        { name: "search_library", args: { query, ratio } }
-      ]
-    };
-  }
+  });
+}
 
-  const wantsGenerate = /generate|create|make|draw|生成|画|创作/.test(text);
-  if (wantsGenerate) {
-    let prompt = text
-      .replace(/generate|create|make|draw|生成|画|创作/gi, "")
-      .trim();
-    if (!prompt) {
-      return { reply: "What should I generate?" };
-    }
-    const ratio = state?.preferred_ratio || state?.ai_ratio || "1:1";
-    return {
-      tools: [
-        { name: "generate_ai", args: { prompt, aspect_ratio: ratio } }
-      ]
-    };
+setInterval(tickPlaylists, PLAYLIST_TICK_MS).unref();
+
+// =======================================================
+// SCHEDULED COMMANDS
+// =======================================================
+// Schedules live on the session, so they persist with the session store.
+// Each one fires a regular command record through dispatchCommand, exactly as
+// if a controller had posted it to /api/cmd. Three kinds are supported:
+//   cron:  "0 7 * * 1-5" (minute hour day-of-month month day-of-week) in a time zone
+//   every: "30m", "2h", "1d" or every_seconds
+//   at:    a single ISO timestamp
+const SCHEDULE_TICK_MS = 10000;
+const SCHEDULE_MIN_EVERY_MS = 60 * 1000;
+const SCHEDULE_MAX_PER_SESSION = 50;
+const SCHEDULE_DEFAULT_TZ =
+  process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "weekday", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+function parseCronValue(raw, field) {
+  const text = raw.toLowerCase();
+  if (field.names && field.names.includes(text)) {
+    return field.names.indexOf(text) + (field.name === "month" ? 1 : 0);
+  }
+  // Digits only: Number("") is 0, which would accept "1-" or ",5".
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid cron ${field.name}: ${raw}`);
   }
+  return value;
+}
 
-  if (!/weather|天气/.test(text)) {
-    const tokens = text.split(/\s+/).filter(Boolean);
-    if (tokens.length <= 3 && text.length <= 30) {
-      const ratio = state?.preferred_ratio || state?.ratio || "1:1";
-      return {
-        tools: [
-          { name: "search_library", args: { query: text, ratio } }
-        ]
-      };
+function parseCronField(part, field) {
+  const values = new Set();
+  let any = true;
+  part.split(",").forEach((chunk) => {
+    const [range, stepRaw] = chunk.split("/");
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step: ${chunk}`);
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      any = false;
+      const bounds = range.split("-");
+      start = parseCronValue(bounds[0], field);
+      end = bounds.length > 1 ? parseCronValue(bounds[1], field) : (stepRaw ? field.max : start);
     }
-  }
+    if (start > end) throw new Error(`Invalid cron range: ${chunk}`);
+    for (let v = start; v <= end; v += step) values.add(v);
+  });
+  // Both 0 and 7 mean Sunday.
+  if (field.name === "weekday" && values.has(7)) values.add(0);
+  // "*" and "*/n" leave the field unrestricted for the day-of-month/weekday OR rule.
+  return { any, values };
+}
 
-  return null;
+function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error("Cron needs 5 fields: minute hour day month weekday");
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return { minute, hour, day, month, weekday };
 }
 
-async function executeToolCall(toolCall) {
-  const name =
-    toolCall.name ||
-    (toolCall.function && toolCall.function.name) ||
-    toolCall.tool_name;
-  const rawArgs =
-    toolCall.arguments ||
-    (toolCall.function && toolCall.function.arguments) ||
-    toolCall.arguments_json ||
-    "{}";
-  let args = {};
-  if (typeof rawArgs === "string") {
-    try {
-      args = JSON.parse(rawArgs);
-    } catch (err) {
-      args = {};
-    }
-  } else if (rawArgs && typeof rawArgs === "object") {
-    args = rawArgs;
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (err) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
   }
-  const localBase = `http://localhost:${process.env.PORT || 3000}`;
-  const baseUrl = process.env.PUBLIC_BASE_URL || localBase;
+  return timeZone;
+}
 
-  if (name === "search_library") {
-    const { query, source, ratio } = args;
-    if (!query) {
-      throw new Error("Missing query");
-    }
-    const selectedSource =
-      source === "pexels" || source === "unsplash" || source === "pixabay" || source === "multi"
-        ? source
-        : "multi";
-    const ratioValue = ratio || "1:1";
-    const fetchUnsplash = async () => {
-      const r = await fetch(
-        `${baseUrl}/api/unsplash` +
-          `?q=${encodeURIComponent(query)}` +
-          `&random=1` +
-          `&ratio=${encodeURIComponent(ratioValue)}`
-      );
-      const data = await r.json();
-      if (!r.ok || data.error) {
-        throw new Error(data.error || "Unsplash failed");
-      }
-      return data.images || [];
-    };
-    const fetchPexels = async () => {
-      const r = await fetch(
-        `${baseUrl}/api/pexels` +
-          `?q=${encodeURIComponent(query)}` +
-          `&random=1` +
-          `&ratio=${encodeURIComponent(ratioValue)}`
-      );
-      const data = await r.json();
-      if (!r.ok || data.error) {
-        throw new Error(data.error || "Pexels failed");
-      }
-      return data.images || [];
-    };
-    const fetchPixabay = async () => {
-      const r = await fetch(
-        `${baseUrl}/api/pixabay` +
-          `?q=${encodeURIComponent(query)}` +
-          `&random=1` +
-          `&ratio=${encodeURIComponent(ratioValue)}`
-      );
-      const data = await r.json();
-      if (!r.ok || data.error) {
-        throw new Error(data.error || "Pixabay failed");
-      }
-      return data.images || [];
-    };
-    if (selectedSource === "multi") {
-      const [uImages, pImages, xImages] = await Promise.allSettled([
-        fetchUnsplash(),
-        fetchPexels(),
-        fetchPixabay()
-      ]);
-      const images = []
-        .concat(uImages.status === "fulfilled" ? uImages.value : [])
-        .concat(pImages.status === "fulfilled" ? pImages.value : [])
-        .concat(xImages.status === "fulfilled" ? xImages.value : []);
-      return { images, source: "multi" };
-    }
-    if (selectedSource === "unsplash") {
-      const images = await fetchUnsplash();
-      return { images, source: selectedSource };
-    }
-    if (selectedSource === "pexels") {
-      const images = await fetchPexels();
-      return { images, source: selectedSource };
-    }
-    if (selectedSource === "pixabay") {
-      const images = await fetchPixabay();
-      return { images, source: selectedSource };
-    }
-    throw new Error("Unsupported source");
+const zoneFormatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`.
+function zonedParts(date, timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
+    });
+    zoneFormatters.set(timeZone, formatter);
   }
+  const parts = {};
+  formatter.formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+}
 
-  if (name === "generate_ai") {
-    const { prompt, count, aspect_ratio } = args;
-    if (!prompt) throw new Error("Missing prompt");
-    const r = await fetch(
-      `${baseUrl}/api/replicate`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          prompt,
-          count: count || 1,
-          aspect_ratio: aspect_ratio || "1:1"
-        })
-      }
-    );
-    const data = await r.json();
-    if (!r.ok || data.error) {
-      throw new Error(data.error || "Flux failed");
-    }
-    return { images: data.images || [] };
-  }
+function cronDayMatches(cron, parts) {
+  if (!cron.month.values.has(parts.month)) return false;
+  const dayOk = cron.day.values.has(parts.day);
+  const weekdayOk = cron.weekday.values.has(parts.weekday);
+  // Classic cron: when both day fields are restricted, either may match.
+  if (!cron.day.any && !cron.weekday.any) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
 
-  if (name === "refine_image") {
-    const { prompt, input_image } = args;
-    if (!prompt || !input_image) throw new Error("Missing prompt/input_image");
-    const r = await fetch(
-      `${baseUrl}/api/refine`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          prompt,
-          input_image
-        })
-      }
-    );
-    const data = await r.json();
-    if (!r.ok || data.error) {
-      throw new Error(data.error || "Refine failed");
+// Walk forward from `after` to the next matching minute, skipping hours and
+// minutes that cannot match. A day that cannot match is skipped up to its
+// local 23:00 and then hour by hour, so the next day's 00:xx slots are still
+// seen when DST makes the day 23 or 25 hours long.
+function nextCronRun(expression, timeZone, after) {
+  const cron = parseCron(expression);
+  const limit = after + 366 * 24 * 60 * 60 * 1000;
+  let t = Math.floor(after / 60000) * 60000 + 60000;
+  while (t <= limit) {
+    const parts = zonedParts(new Date(t), timeZone);
+    if (!cronDayMatches(cron, parts)) {
+      t += (Math.max(0, 22 - parts.hour) * 60 + (60 - parts.minute)) * 60000;
+    } else if (!cron.hour.values.has(parts.hour)) {
+      t += (60 - parts.minute) * 60000;
+    } else if (!cron.minute.values.has(parts.minute)) {
+      t += 60000;
+    } else {
+      return t;
     }
-    return { image: data.image || "" };
   }
+  return null;
+}
 
-  if (name === "set_view") {
-    const { view } = args;
-    if (!view) throw new Error("Missing view");
-    return { view };
+function parseEvery(every, everySeconds) {
+  let ms = Number(everySeconds) * 1000 || 0;
+  if (!ms && every) {
+    const match = String(every).trim().match(/^(\d+)\s*(s|m|h|d)$/i);
+    if (!match) throw new Error("Invalid every, use e.g. 30m, 2h or 1d");
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2].toLowerCase()];
+    ms = Number(match[1]) * unit;
   }
+  if (ms < SCHEDULE_MIN_EVERY_MS) throw new Error("Schedules cannot repeat more than once a minute");
+  return ms;
+}
 
-  if (name === "refresh_weather") {
-    return { ok: true };
-  }
+function computeNextRun(schedule, after) {
+  if (schedule.cron) return nextCronRun(schedule.cron, schedule.timezone, after);
+  if (schedule.everyMs) return after + schedule.everyMs;
+  return schedule.at > after ? schedule.at : null;
+}
 
-  if (name === "get_weather_history") {
-    const { city, date } = args || {};
-    if (!city || !date) {
-      throw new Error("Missing city/date");
-    }
-    const geoUrl =
-      `https://geocoding-api.open-meteo.com/v1/search` +
-      `?name=${encodeURIComponent(city)}` +
-      `&count=1&language=en&format=json`;
-    const geoRes = await fetch(geoUrl);
-    const geoData = await geoRes.json();
-    if (!geoRes.ok || !geoData || !geoData.results || !geoData.results.length) {
-      throw new Error("City not found");
-    }
-    const place = geoData.results[0];
-    const lat = place.latitude;
-    const lon = place.longitude;
-    const day = String(date).slice(0, 10);
-    const historyUrl =
-      `https://archive-api.open-meteo.com/v1/archive` +
-      `?latitude=${encodeURIComponent(lat)}` +
-      `&longitude=${encodeURIComponent(lon)}` +
-      `&start_date=${encodeURIComponent(day)}` +
-      `&end_date=${encodeURIComponent(day)}` +
-      `&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max` +
-      `&timezone=auto`;
-    const historyRes = await fetch(historyUrl);
-    const historyData = await historyRes.json();
-    if (!historyRes.ok || !historyData || !historyData.daily) {
-      throw new Error("Weather history failed");
-    }
-    const daily = historyData.daily;
-    return {
-      city: place.name,
-      country: place.country || "",
-      date: day,
-      temperature_max: daily.temperature_2m_max ? daily.temperature_2m_max[0] : null,
-      temperature_min: daily.temperature_2m_min ? daily.temperature_2m_min[0] : null,
-      precipitation_sum: daily.precipitation_sum ? daily.precipitation_sum[0] : null,
-      windspeed_max: daily.windspeed_10m_max ? daily.windspeed_10m_max[0] : null
-    };
+function createSchedule(body) {
+  const { command, target, cron, every, every_seconds, at, timezone, name } = body || {};
+  if (!command || typeof command !== "object") throw new Error("Missing command");
+  const schedule = {
+    id: "sch_" + Math.random().toString(36).slice(2, 10),
+    name: name ? String(name).slice(0, 64) : "",
+    command,
+    target: target || "all",
+    cron: "",
+    timezone: assertTimeZone(timezone || SCHEDULE_DEFAULT_TZ),
+    everyMs: 0,
+    at: 0,
+    enabled: true,
+    createdAt: Date.now(),
+    lastRunAt: 0,
+    lastCommand: null,
+    lastError: null,
+    nextRunAt: null
+  };
+  if (cron) {
+    parseCron(cron);
+    schedule.cron = String(cron).trim();
+  } else if (every || every_seconds) {
+    schedule.everyMs = parseEvery(every, every_seconds);
+  } else if (at) {
+    schedule.at = Date.parse(at);
+    if (!Number.isFinite(schedule.at)) throw new Error("Invalid at");
+    if (schedule.at <= Date.now()) throw new Error("at is in the past");
+  } else {
+    throw new Error("Missing cron, every or at");
   }
+  schedule.nextRunAt = computeNextRun(schedule, Date.now());
+  if (!schedule.nextRunAt) throw new Error("Schedule never runs");
+  return schedule;
+}
 
-  throw new Error("Unknown tool");
+function getSchedules(sess) {
+  if (!Array.isArray(sess.schedules)) sess.schedules = [];
+  return sess.schedules;
 }
 
-app.post("/api/agent", async (req, res) => {
-  const { message, summary, state } = req.body || {};
-  if (!message) {
-    return res.status(400).json({ error: "Missing message" });
-  }
+// Fire due schedules. After downtime a missed schedule fires once, then
+// resumes from now rather than replaying every missed slot.
+function tickSchedules() {
+  const now = Date.now();
+  sessions.forEach((sess) => {
+    getSchedules(sess).forEach((schedule) => {
+      if (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt > now) return;
+      try {
+        const record = dispatchCommand(
+          sess,
+          { ...schedule.command, origin: "schedule", schedule: schedule.id },
+          schedule.target
+        );
+        schedule.lastCommand = record ? record.id : null;
+        schedule.lastError = null;
+      } catch (err) {
+        schedule.lastError = err.message;
+      }
+      schedule.lastRunAt = now;
+      schedule.nextRunAt = computeNextRun(schedule, now);
+      if (!schedule.nextRunAt) schedule.enabled = false;
+      sessions.markDirty();
+    });
+  });
+}
 
-  const tools = [
-    {
-      type: "function",
-      name: "search_library",
+setInterval(tickSchedules, SCHEDULE_TICK_MS).unref();
+
+// Test route
+app.get("/", (req, res) => {
+  res.send("VISTA backend is running.");
+});
+
+// =======================================================
+// SESSION + REMOTE COMMANDS (MVP)
+// =======================================================
+app.post("/api/session", (req, res) => {
+  const sessionId = createSessionId();
+  const sess = {
+    code: "",
+    codeExpiresAt: 0,
+    commands: new Map(),
+    devices: new Map(),
+    tokens: new Map(),
+    clients: new Set(),
+    state: createPresenterState(),
+    playlist: null,
+    schedules: [],
+    createdAt: Date.now(),
+    lastActiveAt: Date.now()
+  };
+  assignShortCode(sess);
+  const controller = registerDevice(sess, { role: "controller" });
+  const presenter = registerDevice(sess, { role: "presenter" });
+  sessions.set(sessionId, sess);
+  res.json({
+    session: sessionId,
+    code: sess.code,
+    codeExpiresAt: sess.codeExpiresAt,
+    controllerToken: controller.token,
+    presenterToken: presenter.token
+  });
+});
+
+app.get("/api/session/:id", (req, res) => {
+  const sessionId = req.params.id;
+  if (!sessionId) return res.status(400).json({ error: "Missing session id" });
+  const sess = getSession(sessionId);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const device = authorizeDevice(req, res, sess, DEVICE_ROLES);
+  if (!device) return;
+  res.json({
+    ok: true,
+    device: device.id,
+    role: device.role,
+    devices: listDevices(sess).map(describeDevice)
+  });
+});
+
+// Issue a fresh short code, e.g. after the old one expired or was shared too widely.
+app.post("/api/session/:id/code", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  assignShortCode(sess);
+  res.json({ code: sess.code, codeExpiresAt: sess.codeExpiresAt });
+});
+
+// Pair a phone or screen with the VISTA-XXXX code shown on the other device.
+app.post("/api/join", (req, res) => {
+  const { code, role, name, groups } = req.body || {};
+  if (!code || !role) {
+    return res.status(400).json({ error: "Missing code or role" });
+  }
+  if (!DEVICE_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
+
+  const match = findSessionByCode(code);
+  if (!match) return res.status(404).json({ error: "Code not found or expired" });
+
+  const { device, token } = registerDevice(match.sess, { role, name, groups });
+  res.json({ session: match.sessionId, device: device.id, role: device.role, token });
+});
+
+// Drop a device's token without ending the session. Controllers can remove
+// anyone; any device can remove itself.
+app.delete("/api/session/:id/devices/:device", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const caller = authorizeDevice(req, res, sess, DEVICE_ROLES);
+  if (!caller) return;
+  if (caller.role !== "controller" && caller.id !== req.params.device) {
+    return res.status(403).json({ error: "Only controllers can revoke other devices" });
+  }
+  if (!revokeDevice(sess, req.params.device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  res.json({ ok: true });
+});
+
+// Rename a device or change the presenter groups it receives commands for.
+app.patch("/api/session/:id/devices/:device", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const caller = authorizeDevice(req, res, sess, DEVICE_ROLES);
+  if (!caller) return;
+  if (caller.role !== "controller" && caller.id !== req.params.device) {
+    return res.status(403).json({ error: "Only controllers can update other devices" });
+  }
+  const device = sess.devices.get(req.params.device);
+  if (!device) return res.status(404).json({ error: "Device not found" });
+
+  const { name, groups } = req.body || {};
+  if (name) device.name = String(name).slice(0, 64);
+  if (groups !== undefined && device.role === "presenter") {
+    device.groups = normalizeGroups(groups);
+  }
+  sessions.markDirty();
+  res.json({ ok: true, device: describeDevice(device) });
+});
+
+app.post("/api/cmd", (req, res) => {
+  const { session, command, target } = req.body || {};
+  if (!session || !command) {
+    return res.status(400).json({ error: "Missing session or command" });
+  }
+
+  const sess = ensureSession(session);
+  if (!sess) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+
+  let record;
+  try {
+    record = dispatchCommand(sess, command, target);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (command.type === "playlist") {
+    return res.json({
+      ok: true,
+      id: record ? record.id : null,
+      playlist: describePlaylist(sess.playlist)
+    });
+  }
+  res.json({ ok: true, id: record.id, targets: Object.keys(record.deliveries) });
+});
+
+app.get("/api/check", (req, res) => {
+  const session = req.query.session;
+  if (!session) return res.status(400).json({ error: "Missing session" });
+
+  const sess = getSession(session);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const device = authorizeDevice(req, res, sess, ["presenter"]);
+  if (!device) return;
+
+  const cmd = nextQueuedCommand(sess, device);
+  if (cmd) {
+    markDelivered(cmd, device.id);
+  }
+
+  res.json({ command: cmd ? commandForDevice(cmd, device.id) : null });
+});
+
+// Server-Sent Events channel: pushes each command as soon as /api/cmd records it.
+// Reconnects resume from the Last-Event-ID header (or ?last=) so nothing is lost.
+app.get("/api/stream", (req, res) => {
+  const session = req.query.session;
+  if (!session) return res.status(400).json({ error: "Missing session" });
+
+  const sess = getSession(session);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const device = authorizeDevice(req, res, sess, ["presenter"]);
+  if (!device) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const lastId = req.get("Last-Event-ID") || req.query.last || "";
+  commandsSince(sess, device.id, lastId).forEach((cmd) => writeStreamEvent(res, cmd, device.id));
+  let cmd = nextQueuedCommand(sess, device);
+  while (cmd) {
+    markDelivered(cmd, device.id);
+    writeStreamEvent(res, cmd, device.id);
+    cmd = nextQueuedCommand(sess, device);
+  }
+
+  const client = { res, deviceId: device.id };
+  sess.clients.add(client);
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    sess.clients.delete(client);
+  });
+});
+
+app.get("/api/status", (req, res) => {
+  const session = req.query.session;
+  const id = req.query.id;
+  if (!session || !id) return res.status(400).json({ error: "Missing session or id" });
+
+  const sess = getSession(session);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+
+  const cmd = sess.commands.get(id);
+  if (!cmd) return res.status(404).json({ error: "Command not found" });
+
+  res.json({
+    status: cmd.status,
+    result: cmd.result,
+    error: cmd.error,
+    updatedAt: cmd.updatedAt,
+    deliveries: Object.entries(cmd.deliveries).map(([deviceId, delivery]) => {
+      const device = sess.devices.get(deviceId);
+      return { device: deviceId, name: device ? device.name : null, ...delivery };
+    })
+  });
+});
+
+// Presenter reports progress: "running" acknowledges receipt,
+// "succeeded"/"failed" finish the command with a result or error message.
+app.post("/api/ack", (req, res) => {
+  const { session, id, status, result, error } = req.body || {};
+  if (!session || !id || !status) {
+    return res.status(400).json({ error: "Missing session, id or status" });
+  }
+  if (status !== "running" && status !== "succeeded" && status !== "failed") {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+
+  const sess = getSession(session);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  const device = authorizeDevice(req, res, sess, ["presenter"]);
+  if (!device) return;
+
+  const cmd = sess.commands.get(id);
+  if (!cmd) return res.status(404).json({ error: "Command not found" });
+  const delivery = cmd.deliveries[device.id];
+  if (!delivery) return res.status(404).json({ error: "Command not sent to this device" });
+  if (TERMINAL_STATUSES.has(delivery.status)) {
+    return res.status(409).json({ error: `Command already ${delivery.status}` });
+  }
+  if (status === "running" && delivery.status === "running") {
+    return res.json({ ok: true, status: delivery.status });
+  }
+
+  removeFromQueue(device, id);
+  setDeliveryStatus(cmd, device.id, status, {
+    result: result === undefined ? delivery.result : result,
+    error: status === "failed" ? String(error || "Command failed") : null
+  });
+  if (status === "succeeded") {
+    applyCommandToState(sess, { ...cmd, result: delivery.result });
+  }
+
+  res.json({ ok: true, status: delivery.status, command: cmd.status });
+});
+
+app.get("/api/session/:id/state", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  res.json({ state: getPresenterState(sess) });
+});
+
+app.patch("/api/session/:id/state", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  try {
+    const state = patchPresenterState(sess, req.body && (req.body.state || req.body));
+    res.json({ state });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/api/session/:id/playlist", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  res.json({ playlist: describePlaylist(sess.playlist) });
+});
+
+// Body: { images | from: "last_search" | "last_generation", interval_seconds,
+// shuffle, loop, start_index, target }
+app.post("/api/session/:id/playlist", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+
+  const body = req.body || {};
+  try {
+    const items = playlistImagesFrom(sess, body);
+    const record = startPlaylist(sess, items, body);
+    res.json({ ok: true, id: record.id, playlist: describePlaylist(sess.playlist) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/session/:id/playlist/control", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+
+  const { action, value } = req.body || {};
+  if (!action) return res.status(400).json({ error: "Missing action" });
+  try {
+    const record = controlPlaylist(sess, action, value);
+    res.json({
+      ok: true,
+      id: record ? record.id : null,
+      playlist: describePlaylist(sess.playlist)
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/session/:id/playlist", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+  sess.playlist = null;
+  sessions.markDirty();
+  res.json({ ok: true });
+});
+
+app.get("/api/session/:id/schedules", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  res.json({ schedules: getSchedules(sess) });
+});
+
+app.post("/api/session/:id/schedules", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+
+  const schedules = getSchedules(sess);
+  if (schedules.length >= SCHEDULE_MAX_PER_SESSION) {
+    return res.status(400).json({ error: "Too many schedules" });
+  }
+  try {
+    const schedule = createSchedule(req.body);
+    resolveTargets(sess, schedule.target);
+    schedules.push(schedule);
+    sessions.markDirty();
+    res.json({ ok: true, schedule });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/session/:id/schedules/:schedule", (req, res) => {
+  const sess = getSession(req.params.id);
+  if (!sess) return res.status(404).json({ error: "Session not found" });
+  if (!authorizeDevice(req, res, sess, ["controller"])) return;
+
+  const schedules = getSchedules(sess);
+  const index = schedules.findIndex((schedule) => schedule.id === req.params.schedule);
+  if (index === -1) return res.status(404).json({ error: "Schedule not found" });
+  schedules.splice(index, 1);
+  sessions.markDirty();
+  res.json({ ok: true });
+});
+
+// =======================================================
+// SPEECH-TO-TEXT (OPENAI WHISPER)
+// =======================================================
+app.post("/api/transcribe", async (req, res) => {
+  const { audio, mime } = req.body || {};
+  if (!audio) return res.status(400).json({ error: "Missing audio" });
+
+  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
+  if (!apiKey) return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
+
+  try {
+    const buffer = Buffer.from(audio, "base64");
+    const form = new FormData();
+    form.append("model", "whisper-1");
+    form.append("language", "en");
+    form.append("file", buffer, {
+      filename: "speech.webm",
+      contentType: mime || "audio/webm"
+    });
+
+    const r = await fetch("https://api.openai.com/v1/audio/transcriptions", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: form
+    });
+
+    const data = await r.json();
+    if (!r.ok) {
+      return res.status(500).json({ error: data.error?.message || "Transcription failed" });
+    }
+    res.json({ text: data.text || "" });
+  } catch (err) {
+    console.error("Transcribe Error:", err);
+    res.status(500).json({ error: "Transcription failed" });
+  }
+});
+
+// =======================================================
+// AGENT ROUTER + EXECUTOR (SEARCH/GENERATE/REFINE)
+// =======================================================
+async function callOpenAIResponses({ input, tools, previous_response_id }) {
+  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
+  if (!apiKey) {
+    throw new Error("Missing OPENAI_API_KEY");
+  }
+
+  const model = process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini";
+  const r = await fetch("https://api.openai.com/v1/responses", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model,
+      input: Array.isArray(input) ? input : [],
+      tools,
+      tool_choice: tools ? "auto" : undefined,
+      temperature: 0.6,
+      previous_response_id
+    })
+  });
+
+  const data = await r.json();
+  if (!r.ok) {
+    throw new Error(data.error?.message || "OpenAI responses failed");
+  }
+  return data;
+}
+
+function extractOutputText(response) {
+  if (!response) return "";
+  if (typeof response.output_text === "string" && response.output_text.trim()) {
+    return response.output_text;
+  }
+  const output = Array.isArray(response.output) ? response.output : [];
+  let text = "";
+  output.forEach((item) => {
+    if (!item) return;
+    if (item.type === "output_text" && item.text) {
+      text += item.text;
+    }
+    if (item.type === "message" && Array.isArray(item.content)) {
+      item.content.forEach((part) => {
+        if (!part) return;
+        if ((part.type === "text" || part.type === "output_text") && part.text) {
+          text += part.text;
+        }
+      });
+    }
+  });
+  return text;
+}
+
+function extractToolCalls(response) {
+  const output = Array.isArray(response && response.output) ? response.output : [];
+  const calls = [];
+  output.forEach((item) => {
+    if (!item) return;
+    if (item.type === "tool_call" || item.type === "function_call") {
+      calls.push(item);
+    }
+    if (item.type === "message" && Array.isArray(item.content)) {
+      item.content.forEach((part) => {
+        if (!part) return;
+        if (part.type === "tool_call" || part.type === "function_call") {
+          calls.push(part);
+        }
+      });
+    }
+  });
+  return calls;
+}
+
+// =======================================================
+// AGENT — OFFLINE ENTITY EXTRACTION (EN + ZH)
+// =======================================================
+// Used by inferToolFromText when the model returns no tool call. Pulls out
+// dates and date ranges (absolute, relative, weekday and month-day forms),
+// cities, counts, aspect ratios and library names from lowercased English
+// or Chinese text. Each matched phrase is blanked in a working copy so later
+// patterns cannot reuse it, and recorded in `spans` so search queries and
+// prompts can be cleaned of it. Dates are local server dates.
+const EN_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, thirty: 30
+};
+const ZH_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const NUM = `\\d+|${Object.keys(EN_NUMBERS).join("|")}|[零一二两三四五六七八九十]+`;
+const EN_WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const ZH_WEEKDAYS = "一二三四五六日天";
+const EN_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+
+// Chinese city names -> the English names the geocoders know best.
+const ZH_CITY_NAMES = {
+  北京: "Beijing", 上海: "Shanghai", 广州: "Guangzhou", 深圳: "Shenzhen", 杭州: "Hangzhou",
+  成都: "Chengdu", 重庆: "Chongqing", 武汉: "Wuhan", 西安: "Xi'an", 南京: "Nanjing",
+  天津: "Tianjin", 苏州: "Suzhou", 长沙: "Changsha", 郑州: "Zhengzhou", 青岛: "Qingdao",
+  厦门: "Xiamen", 昆明: "Kunming", 大连: "Dalian", 沈阳: "Shenyang", 哈尔滨: "Harbin",
+  济南: "Jinan", 福州: "Fuzhou", 合肥: "Hefei", 南昌: "Nanchang", 南宁: "Nanning",
+  贵阳: "Guiyang", 兰州: "Lanzhou", 太原: "Taiyuan", 石家庄: "Shijiazhuang", 长春: "Changchun",
+  乌鲁木齐: "Urumqi", 拉萨: "Lhasa", 海口: "Haikou", 三亚: "Sanya", 呼和浩特: "Hohhot",
+  银川: "Yinchuan", 西宁: "Xining", 宁波: "Ningbo", 无锡: "Wuxi", 佛山: "Foshan",
+  东莞: "Dongguan", 珠海: "Zhuhai", 桂林: "Guilin", 丽江: "Lijiang", 香港: "Hong Kong",
+  澳门: "Macau", 台北: "Taipei", 高雄: "Kaohsiung", 东京: "Tokyo", 大阪: "Osaka",
+  京都: "Kyoto", 首尔: "Seoul", 新加坡: "Singapore", 曼谷: "Bangkok", 悉尼: "Sydney",
+  墨尔本: "Melbourne", 伦敦: "London", 巴黎: "Paris", 柏林: "Berlin", 罗马: "Rome",
+  纽约: "New York", 洛杉矶: "Los Angeles", 旧金山: "San Francisco", 温哥华: "Vancouver",
+  多伦多: "Toronto", 莫斯科: "Moscow", 迪拜: "Dubai"
+};
+const ZH_CITY_KEYS = Object.keys(ZH_CITY_NAMES).sort((a, b) => b.length - a.length);
+
+const RATIO_WORDS = [
+  { pattern: /\b(1:1|4:3|16:9|3:4|9:16)\b/, ratio: null },
+  { pattern: /\b(16|4|9|3|1)\s*(?:x|by)\s*(9|3|16|4|1)\b/, ratio: null },
+  { pattern: /\b(?:wide\s?screen|widescreen|horizontal|(?:in\s+)?landscape\s+(?:mode|format|orientation)|in\s+landscape)\b/, ratio: "16:9" },
+  { pattern: /\b(?:vertical|phone\s+wallpaper|(?:in\s+)?portrait\s+(?:mode|format|orientation)|in\s+portrait)\b/, ratio: "9:16" },
+  { pattern: /\bsquare\b/, ratio: "1:1" },
+  { pattern: /横屏|宽屏|横版|横向/, ratio: "16:9" },
+  { pattern: /竖屏|竖版|竖向|手机壁纸/, ratio: "9:16" },
+  { pattern: /正方形|方形|方图/, ratio: "1:1" }
+];
+
+// Words that can sit in front of "weather" but are not part of a city.
+const CITY_STOPWORDS = new Set([
+  "what", "whats", "what's", "how", "hows", "how's", "is", "was", "the", "will", "be", "show", "me",
+  "get", "check", "tell", "about", "current", "today", "todays", "today's", "yesterday", "yesterdays",
+  "yesterday's", "tomorrow", "tomorrows", "tomorrow's", "last", "next", "this", "weeks", "week",
+  "s", "and", "compare", "of", "for", "in", "at", "a", "it", "like", "weather", "forecast", "temperature",
+  "from", "to", "between", "until", "through", "since", "during", "on", "vs", "versus"
+]);
+
+function parseNumberWord(word) {
+  const text = String(word || "").trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (EN_NUMBERS[text] !== undefined) return EN_NUMBERS[text];
+  if (text.includes("十")) {
+    const [tens, ones] = text.split("十");
+    const value = (tens ? ZH_DIGITS[tens] : 1) * 10 + (ones ? ZH_DIGITS[ones] : 0);
+    return Number.isNaN(value) ? NaN : value;
+  }
+  return text.length === 1 && ZH_DIGITS[text] !== undefined ? ZH_DIGITS[text] : NaN;
+}
+
+function localDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function formatLocalDate(d) {
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function formatDateOffset(days) {
+  return formatLocalDate(addDays(new Date(), days));
+}
+
+function validDate(year, month, day) {
+  const d = new Date(year, month, day);
+  return d.getMonth() === ((month % 12) + 12) % 12 && d.getDate() === day ? d : null;
+}
+
+// Monday-based index: monday 0 ... sunday 6.
+function mondayOf(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function titleCase(text) {
+  return text.replace(/\b([a-z])/g, (ch) => ch.toUpperCase());
+}
+
+function extractEntities(message, now = new Date()) {
+  const text = String(message || "").toLowerCase();
+  const today = localDay(now);
+  let work = text;
+  const spans = [];
+  const periods = [];
+
+  // Run `pattern` over the working copy; `handle(match)` returns true to consume.
+  // Cities are consumed but not recorded, so "cats in snow" keeps its words.
+  const take = (pattern, handle, record = true) => {
+    const re = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`);
+    let match;
+    while ((match = re.exec(work))) {
+      if (!match[0]) {
+        re.lastIndex += 1;
+        continue;
+      }
+      if (handle(match) !== false) {
+        if (record) spans.push(text.slice(match.index, match.index + match[0].length).trim());
+        work = work.slice(0, match.index) + " ".repeat(match[0].length) + work.slice(match.index + match[0].length);
+      }
+    }
+  };
+  const addPeriod = (index, start, end = start) => {
+    if (!start || !end) return false;
+    const [a, b] = start <= end ? [start, end] : [end, start];
+    periods.push({ index, start: formatLocalDate(a), end: formatLocalDate(b) });
+    return true;
+  };
+
+  // --- ranges ---
+  take(new RegExp(`\\b(?:last|past|previous)\\s+(${NUM})\\s+days?\\b|(?:过去|最近|近)\\s*(${NUM})\\s*天`), (m) => {
+    const n = parseNumberWord(m[1] || m[2]);
+    return n > 0 && addPeriod(m.index, addDays(today, -n), addDays(today, -1));
+  });
+  take(new RegExp(`\\b(?:next|coming)\\s+(${NUM})\\s+days?\\b|(?:未来|接下来|之后)\\s*(${NUM})\\s*天`), (m) => {
+    const n = parseNumberWord(m[1] || m[2]);
+    return n > 0 && addPeriod(m.index, today, addDays(today, n - 1));
+  });
+  // Chinese "上周三", "下周五", "这周日" name a day, so they go before the bare weeks.
+  // The 天 of "上周天气" is weather, not Sunday.
+  take(new RegExp(`(上|下|这|本)(?:个)?(?:周|星期|礼拜)([${ZH_WEEKDAYS}])(?!气)`), (m) => {
+    const offset = { 上: -7, 下: 7, 这: 0, 本: 0 }[m[1]];
+    const day = ZH_WEEKDAYS.indexOf(m[2]);
+    return addPeriod(m.index, addDays(mondayOf(today), offset + Math.min(day, 6)));
+  });
+  // 上周 / 下周 are calendar weeks (Monday to Sunday), like 上周三 above;
+  // "last week" and "过去一周" are the seven days before today.
+  take(/上(?:个)?(?:周|星期|礼拜)/, (m) =>
+    addPeriod(m.index, addDays(mondayOf(today), -7), addDays(mondayOf(today), -1))
+  );
+  take(/下(?:个)?(?:周|星期|礼拜)/, (m) =>
+    addPeriod(m.index, addDays(mondayOf(today), 7), addDays(mondayOf(today), 13))
+  );
+  take(/\b(?:last|past|previous)\s+week\b|过去(?:一|1|七|7)(?:周|天|个星期)/, (m) =>
+    addPeriod(m.index, addDays(today, -7), addDays(today, -1))
+  );
+  take(/\b(?:next|coming)\s+week\b/, (m) =>
+    addPeriod(m.index, addDays(today, 1), addDays(today, 7))
+  );
+  take(/\bthis\s+week(?:end)?\b|\bweekend\b|(?:这|本)(?:个)?(?:周|星期|礼拜)末?|周末/, (m) => {
+    const sunday = addDays(mondayOf(today), 6);
+    const start = /end|末/.test(m[0]) ? addDays(mondayOf(today), 5) : today;
+    return addPeriod(m.index, start < today ? today : start, sunday);
+  });
+  // "上个月5号" / "这个月3日" / "下月1号"
+  take(new RegExp(`(上|这|本|下)(?:个)?月\\s*(${NUM})\\s*[号日]`), (m) => {
+    const shift = { 上: -1, 这: 0, 本: 0, 下: 1 }[m[1]];
+    return addPeriod(m.index, validDate(today.getFullYear(), today.getMonth() + shift, parseNumberWord(m[2])));
+  });
+  take(/\blast\s+month\b|上(?:个)?月/, (m) =>
+    addPeriod(m.index, new Date(today.getFullYear(), today.getMonth() - 1, 1), new Date(today.getFullYear(), today.getMonth(), 0))
+  );
+  take(/\bthis\s+month\b|(?:这|本)(?:个)?月/, (m) => {
+    const first = new Date(today.getFullYear(), today.getMonth(), 1);
+    return addPeriod(m.index, first, first < today ? addDays(today, -1) : today);
+  });
+
+  // --- single days ---
+  take(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, (m) =>
+    addPeriod(m.index, validDate(Number(m[1]), Number(m[2]) - 1, Number(m[3])))
+  );
+  take(new RegExp(`(?:(\\d{4})\\s*年\\s*)?(${NUM})\\s*月\\s*(${NUM})\\s*[号日]`), (m) => {
+    const year = m[1] ? Number(m[1]) : today.getFullYear();
+    return addPeriod(m.index, validDate(year, parseNumberWord(m[2]) - 1, parseNumberWord(m[3])));
+  });
+  take(new RegExp(`\\b(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`), (m) => {
+    const year = m[3] ? Number(m[3]) : today.getFullYear();
+    return addPeriod(m.index, validDate(year, EN_MONTHS.indexOf(m[1].slice(0, 3)), Number(m[2])));
+  });
+  take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})\\b(?:,?\\s+(\\d{4}))?`), (m) => {
+    const year = m[3] ? Number(m[3]) : today.getFullYear();
+    return addPeriod(m.index, validDate(year, EN_MONTHS.indexOf(m[2].slice(0, 3)), Number(m[1])));
+  });
+  take(new RegExp(`\\b(${NUM})\\s+(days?|weeks?)\\s+ago\\b|(${NUM})\\s*(天|日|周|个?星期)前`), (m) => {
+    const n = parseNumberWord(m[1] || m[3]);
+    const unit = /week|周|星期/.test(m[2] || m[4]) ? 7 : 1;
+    return n > 0 && addPeriod(m.index, addDays(today, -n * unit));
+  });
+  take(new RegExp(`\\bin\\s+(${NUM})\\s+days?\\b|(${NUM})\\s*天(?:后|以后|之后)`), (m) => {
+    const n = parseNumberWord(m[1] || m[2]);
+    return n > 0 && addPeriod(m.index, addDays(today, n));
+  });
+  take(new RegExp(`\\b(last|this|next)\\s+(${EN_WEEKDAYS.join("|")})\\b`), (m) => {
+    const target = EN_WEEKDAYS.indexOf(m[2]);
+    const current = (today.getDay() + 6) % 7;
+    if (m[1] === "this") return addPeriod(m.index, addDays(mondayOf(today), target));
+    if (m[1] === "last") return addPeriod(m.index, addDays(today, -(((current - target + 6) % 7) + 1)));
+    return addPeriod(m.index, addDays(today, ((target - current + 6) % 7) + 1));
+  });
+  take(/\bday\s+before\s+yesterday\b|大前天|前天/, (m) =>
+    addPeriod(m.index, addDays(today, m[0] === "大前天" ? -3 : -2))
+  );
+  take(/\bday\s+after\s+tomorrow\b|大后天|后天/, (m) =>
+    addPeriod(m.index, addDays(today, m[0] === "大后天" ? 3 : 2))
+  );
+  take(/\byesterday\b|昨天|昨日/, (m) => addPeriod(m.index, addDays(today, -1)));
+  take(/\btomorrow\b|明天|明日/, (m) => addPeriod(m.index, addDays(today, 1)));
+  take(/\btoday\b|\btonight\b|今天|今日|今晚/, (m) => addPeriod(m.index, today));
+
+  periods.sort((a, b) => a.index - b.index);
+  // "from X to Y", "between X and Y", "X 到 Y": two single days make a range.
+  if (
+    periods.length >= 2 &&
+    periods[0].start === periods[0].end &&
+    periods[1].start === periods[1].end &&
+    /\b(?:from|between|to|until|through|thru)\b|[到至~]|—/.test(text) &&
+    !/compare|versus|\bvs\b|对比|比较/.test(text)
+  ) {
+    const [a, b] = [periods[0].start, periods[1].start].sort();
+    periods.splice(0, 2, { index: periods[0].index, start: a, end: b });
+  }
+
+  // --- counts, ratios, sources ---
+  let ratio = "";
+  RATIO_WORDS.forEach(({ pattern, ratio: fixed }) => {
+    if (ratio) return;
+    take(pattern, (m) => {
+      const value = fixed || (m[2] ? `${m[1]}:${m[2]}` : m[1]);
+      if (!RATIOS.includes(value)) return false;
+      ratio = value;
+      return true;
+    });
+  });
+
+  // After the ratios, so "4 widescreen photos" reads as "4 photos".
+  let count = 0;
+  take(new RegExp(`\\b(${NUM})\\s+(?:more\\s+)?(?:images?|pictures?|photos?|pics?|versions?|variations?|wallpapers?|ones)\\b|\\b(?:generate|create|make|draw)\\s+(${NUM})\\b|(${NUM})\\s*[张幅副个]`), (m) => {
+    const n = parseNumberWord(m[1] || m[2] || m[3]);
+    if (!(n > 0)) return false;
+    count = n;
+    return true;
+  });
+
+  let source = "";
+  const names = listImageProviders().map((p) => p.id).join("|");
+  take(new RegExp(`\\b(?:(?:on|from|via|using|in)\\s+)?(${names})\\b|\\b(?:all|every)\\s+(?:libraries|sources)\\b|所有图库|全部图库`), (m) => {
+    source = m[1] || "multi";
+    return true;
+  });
+
+  // --- cities ---
+  const cities = [];
+  const addCity = (index, name) => {
+    const city = name.trim();
+    if (city && !cities.some((item) => item.name.toLowerCase() === city.toLowerCase())) {
+      cities.push({ index, name: city });
+    }
+  };
+  ZH_CITY_KEYS.forEach((name) => {
+    take(new RegExp(name), (m) => addCity(m.index, ZH_CITY_NAMES[name]), false);
+  });
+  take(/(?:在)?([\u4e00-\u9fa5]{2,5}?)\s*(?:市)?\s*(?:的)?\s*(?=天气|气温|温度|会不会|会下|下雨|下雪|刮风|冷不冷|热不热)/, (m) => {
+    if (/^[你我他她它这那哪什怎今明昨前后]|[今明昨前后天周月日年的]$/.test(m[1])) return false;
+    return addCity(m.index, m[1]);
+  }, false);
+  // A city word is anything but a connective that ends the name ("paris from ...").
+  const cityWord = "(?!(?:and|vs|versus|with|compared|on|from|to|between|until|through|during|over|weather|like)\\b)[a-z][a-z'.-]*";
+  const cityWords = `\\b(${cityWord}(?:\\s+${cityWord}){0,2})`;
+  // Two cities first, or the single-city rules would split "paris and london".
+  take(new RegExp(`\\b(?:compare\\s+)?${cityWords}\\s+(?:and|vs\\.?|versus|with|to)\\s+${cityWords}(?=\\s|[,?.!]|$)`), (m) => {
+    if (!/compare|versus|\bvs\b/.test(text)) return false;
+    const found = [m[1], m[2]]
+      .map((part) => part.split(/\s+/).filter((word) => !CITY_STOPWORDS.has(word)).join(" "))
+      .filter(Boolean);
+    if (!found.length) return false;
+    found.forEach((name, i) => addCity(m.index + i, titleCase(name)));
+    return true;
+  }, false);
+  take(new RegExp(`\\b(?:in|for|at)\\s+${cityWords}(?=\\s+(?:and|vs|versus|with|compared|on|from|between|during|over|weather|like)\\b|\\s*[,?.!]|\\s*$|\\s{2,})`), (m) => {
+    const words = m[1].split(/\s+/).filter((word) => !CITY_STOPWORDS.has(word));
+    if (!words.length || EN_NUMBERS[words[0]] !== undefined) return false;
+    return addCity(m.index, titleCase(words.join(" ")));
+  }, false);
+  take(new RegExp(`${cityWords}(?:'s)?\\s+(?:weather|forecast|temperature)\\b`), (m) => {
+    const words = m[1].split(/\s+/).filter((word) => !CITY_STOPWORDS.has(word));
+    if (!words.length) return false;
+    return addCity(m.index, titleCase(words.slice(-3).join(" ")));
+  }, false);
+  cities.sort((a, b) => a.index - b.index);
+
+  const first = periods[0] || null;
+  let tense = "";
+  const todayText = formatLocalDate(today);
+  if (first) {
+    if (first.end < todayText) tense = "past";
+    else if (first.start > todayText || first.end > todayText) tense = "future";
+    else tense = "present";
+  }
+
+  return {
+    periods: periods.map(({ start, end }) => ({ start, end })),
+    tense,
+    cities: cities.map((item) => item.name),
+    count,
+    ratio,
+    source,
+    spans
+  };
+}
+
+// Tool args for one period: { date } for a single day, else a range.
+function periodArgs(period, prefix = "") {
+  if (period.start === period.end) return { [`${prefix}date`]: period.start };
+  return { [`${prefix}start_date`]: period.start, [`${prefix}end_date`]: period.end };
+}
+
+// Days of forecast needed to reach the end of a future period (max 7).
+function forecastDaysFor(period, now = new Date()) {
+  const today = Date.parse(`${formatLocalDate(localDay(now))}T00:00:00Z`);
+  const end = Date.parse(`${period.end}T00:00:00Z`);
+  return Math.min(FORECAST_MAX_DAYS, Math.max(1, Math.round((end - today) / 86400000) + 1));
+}
+
+// Remove the extracted phrases and the given verbs from a query or prompt.
+function stripEntities(text, spans, verbs) {
+  let rest = ` ${text} `;
+  spans
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .forEach((span) => {
+      if (span) rest = rest.split(span).join(" ");
+    });
+  return rest
+    .replace(verbs, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^\s*(?:(?:on|from|in|with|of|for|me|some|a|an|the|please)\s+)+/g, "")
+    .replace(/(?:\s+(?:on|from|in|with|of|for|please|and))+\s*$/g, "")
+    .replace(/^(?:的|\s)+|(?:的|\s)+$/g, "")
+    .trim();
+}
+
+function inferToolFromText(message, state) {
+  const text = String(message || "").toLowerCase().trim();
+  if (!text) return null;
+
+  const isGreeting = /^(hi|hello|hey|yo|你好|嗨|早上好|下午好|晚上好|早)$/i.test(text);
+  if (isGreeting) {
+    return { reply: "Hi! What would you like to do—search images, generate, or check weather?" };
+  }
+
+  const wantsRefine = /refine|edit|retouch|adjust|add|remove|replace|dof|depth of field|blur|bokeh|修|改|调整|虚化|景深|添加|去掉|替换/.test(text);
+  if (wantsRefine) {
+    if (state && state.current_image) {
+      return {
+        tools: [
+          { name: "refine_image", args: { prompt: message, input_image: state.current_image } }
+        ]
+      };
+    }
+    return { reply: "Please open an image in the gallery first so I can refine it." };
+  }
+
+  const entities = extractEntities(text);
+  const [period, otherPeriod] = entities.periods;
+  const [city, otherCity] = entities.cities;
+  const mentionsWeather = /weather|temperature|forecast|rain|snow|wind|sunny|天气|气温|温度|预报|下雨|下雪|刮风|晴/.test(text);
+  // Only explicit weather words block media intents; "cats in snow" is still a search.
+  const asksWeather = /weather|temperature|forecast|天气|气温|温度|预报/.test(text);
+  const searchVerb = /show me|search|find|搜|搜索|找/.test(text);
+  // A generate verb wins over media nouns: "generate 4 images of a cat" is not a search.
+  const wantsGenerate = /generate|create|make|draw|生成|画|创作/.test(text) && !searchVerb && !asksWeather;
+  const wantsSearch =
+    (searchVerb || /image|picture|photo|图|图片|照片/.test(text)) && !wantsGenerate && !asksWeather;
+
+  const wantsCompare = /compare|comparison|versus|\bvs\b|对比|比较/.test(text);
+  if (wantsCompare && !wantsSearch && !wantsGenerate && (otherCity || otherPeriod)) {
+    if (!city) {
+      return { reply: "Which city?" };
+    }
+    // Without dates, compare the past week.
+    const first = period || { start: formatDateOffset(-7), end: formatDateOffset(-1) };
+    return {
+      tools: [
+        {
+          name: "compare_weather_history",
+          args: {
+            city,
+            ...periodArgs(first),
+            ...(otherCity ? { other_city: otherCity } : {}),
+            ...(otherPeriod ? periodArgs(otherPeriod, "other_") : {})
+          }
+        }
+      ]
+    };
+  }
+
+  const wantsHistory =
+    !wantsSearch && !wantsGenerate &&
+    (entities.tense === "past" || /\bhistory\b|historical|过去|历史/.test(text));
+  if (wantsHistory) {
+    if (!city) {
+      return { reply: "Which city?" };
+    }
+    if (!period || entities.tense !== "past") {
+      return { reply: "Which date should I check?" };
+    }
+    return {
+      tools: [
+        { name: "get_weather_history", args: { city, ...periodArgs(period) } }
+      ]
+    };
+  }
+
+  const wantsForecast =
+    !wantsSearch && !wantsGenerate &&
+    (entities.tense === "future" ||
+      (entities.tense === "present" && mentionsWeather) ||
+      /forecast|will it rain|预报|未来|会下雨|会不会下/.test(text));
+  if (wantsForecast) {
+    if (!city) {
+      return { reply: "Which city?" };
+    }
+    const days = period ? forecastDaysFor(period) : FORECAST_MAX_DAYS;
+    return {
+      tools: [
+        { name: "get_weather_forecast", args: { city, days } }
+      ]
+    };
+  }
+
+  if (wantsSearch) {
+    const query = stripEntities(
+      text,
+      entities.spans,
+      /show me|search for|search|find|images? of|pictures? of|photos? of|images?|pictures?|photos?|搜索|搜|找|图片|照片|图|一些|几张/gi
+    );
+    if (!query) {
+      return { reply: "What should I search for?" };
+    }
+    const ratio = entities.ratio || state?.preferred_ratio || state?.ratio || "1:1";
+    return {
+      tools: [
+        { name: "search_library", args: { query, ratio, ...(entities.source ? { source: entities.source } : {}) } }
+      ]
+    };
+  }
+
+  if (wantsGenerate) {
+    const prompt = stripEntities(
+      text,
+      entities.spans,
+      /generate|create|make|draw|(?:images?|pictures?|photos?) of|生成|画|创作/gi
+    );
+    if (!prompt) {
+      return { reply: "What should I generate?" };
+    }
+    const ratio = entities.ratio || state?.preferred_ratio || state?.ai_ratio || "1:1";
+    return {
+      tools: [
+        {
+          name: "generate_ai",
+          args: {
+            prompt,
+            aspect_ratio: ratio,
+            ...(entities.count ? { count: Math.min(entities.count, 5) } : {})
+          }
+        }
+      ]
+    };
+  }
+
+  if (!/weather|天气/.test(text)) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    if (tokens.length <= 3 && text.length <= 30) {
+      const ratio = state?.preferred_ratio || state?.ratio || "1:1";
+      return {
+        tools: [
+          { name: "search_library", args: { query: text, ratio } }
+        ]
+      };
+    }
+  }
+
+  return null;
+}
+
+const AGENT_COMMAND_WAIT_MS = Number(process.env.AGENT_COMMAND_WAIT_MS) || 3000;
+// Budget for the tool loop of one /api/agent request: tool rounds, and wall
+// time across the tool runs and model calls that follow the first reply.
+const AGENT_MAX_STEPS = Number(process.env.AGENT_MAX_STEPS) || 4;
+const AGENT_TIME_BUDGET_MS = Number(process.env.AGENT_TIME_BUDGET_MS) || 60000;
+const PRESENTER_TOOLS = new Set(["set_view", "refresh_weather", "show_image", "next_image", "start_slideshow"]);
+
+// Give the presenter a moment to ack so the reply can say whether the screen changed.
+async function waitForCommand(record, timeoutMs) {
+  const startedAt = Date.now();
+  while (!TERMINAL_STATUSES.has(record.status) && Date.now() - startedAt < timeoutMs) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+  return record;
+}
+
+// Stand-in result when every presenter was revoked or none matches the
+// target, so the agent can say the screen was not changed instead of failing.
+function noPresenterResult(sess, target) {
+  if (resolveTargets(sess, target).length) return null;
+  return { status: "no_presenter", error: "No presenter matches target", targets: [] };
+}
+
+async function sendPresenterCommand(sess, command) {
+  const missing = noPresenterResult(sess);
+  if (missing) return missing;
+  return trackPresenterCommand(enqueueCommand(sess, { ...command, origin: "agent" }));
+}
+
+async function trackPresenterCommand(record) {
+  await waitForCommand(record, AGENT_COMMAND_WAIT_MS);
+  return {
+    command: record.id,
+    status: record.status,
+    error: record.error,
+    targets: Object.keys(record.deliveries)
+  };
+}
+
+function describePresenterCommand(result) {
+  if (result.status === "succeeded") return "Done, the screen has been updated.";
+  if (result.status === "failed") return `The screen reported an error: ${result.error || "unknown error"}.`;
+  if (result.status === "expired") return "The screen did not respond, so nothing changed.";
+  if (result.status === "no_presenter") return "No screen is paired with this session, so nothing changed.";
+  if (result.status === "queued") return "No screen is connected right now; I queued it for when one comes back.";
+  return "Sent to the screen; waiting for it to confirm.";
+}
+
+// Tools that change what the paired presenter shows. Without a session the
+// legacy echo results are kept so older clients can still act on them.
+async function executePresenterTool(name, args, sess) {
+  if (name === "set_view") {
+    const { view } = args;
+    if (!view) throw new Error("Missing view");
+    if (!VIEWS.includes(view)) throw new Error("Invalid view");
+    if (!sess) return { view };
+    return { view, ...(await sendPresenterCommand(sess, { type: "set_view", view })) };
+  }
+
+  if (name === "refresh_weather") {
+    if (!sess) return { ok: true };
+    return sendPresenterCommand(sess, { type: "refresh_weather" });
+  }
+
+  if (!sess) throw new Error("No presenter is paired with this conversation");
+
+  if (name === "show_image") {
+    let url = args.url;
+    if (!url && Number.isInteger(args.index)) {
+      const last = getPresenterState(sess).last_search;
+      url = last && Array.isArray(last.images) ? last.images[args.index] : "";
+    }
+    if (!url) throw new Error("Missing url");
+    return { url, ...(await sendPresenterCommand(sess, { type: "show_image", url })) };
+  }
+
+  if (name === "next_image") {
+    if (sess.playlist) {
+      const missing = noPresenterResult(sess, sess.playlist.target);
+      if (missing) return missing;
+      const record = controlPlaylist(sess, "next");
+      if (record) return trackPresenterCommand(record);
+    }
+    return sendPresenterCommand(sess, { type: "next_image" });
+  }
+
+  if (name === "start_slideshow") {
+    const items = playlistImagesFrom(sess, args);
+    const missing = noPresenterResult(sess, args.target);
+    if (missing) return missing;
+    const record = startPlaylist(sess, items, args);
+    return { count: sess.playlist.items.length, ...(await trackPresenterCommand(record)) };
+  }
+
+  throw new Error("Unknown tool");
+}
+
+// "Found 30 images, including photos by A, B and C." for the offline replies.
+function describeSearchResult(result) {
+  const items = Array.isArray(result && result.results) ? result.results : [];
+  const urls = (result && (result.videos || result.images)) || [];
+  const count = items.length || (Array.isArray(urls) ? urls.length : 0);
+  if (!count) return "Search completed.";
+  const kind = result.videos ? ["videos", "clips"] : ["images", "photos"];
+  const authors = Array.from(new Set(items.map((item) => item.author && item.author.name).filter(Boolean)));
+  if (!authors.length) return `Found ${count} ${kind[0]}.`;
+  const named = authors.slice(0, 3);
+  const list = named.length > 1
+    ? `${named.slice(0, -1).join(", ")} and ${named[named.length - 1]}`
+    : named[0];
+  return `Found ${count} ${kind[0]}, including ${kind[1]} by ${list}.`;
+}
+
+function describeWeatherHistory(r) {
+  if (!r || !r.city) return "";
+  if (r.date) {
+    const max = r.temperature_max != null ? `${r.temperature_max}°C` : "—";
+    const min = r.temperature_min != null ? `${r.temperature_min}°C` : "—";
+    const rain = r.precipitation_sum != null ? `${r.precipitation_sum}mm` : "—";
+    const wind = r.windspeed_max != null ? `${r.windspeed_max} m/s` : "—";
+    return `${r.city} ${r.date}: high ${max}, low ${min}, rain ${rain}, wind ${wind}.`;
+  }
+  const s = r.summary || {};
+  const mean = s.temperature_mean != null ? `${s.temperature_mean}°C` : "—";
+  const range = s.temperature_min != null && s.temperature_max != null
+    ? ` (${s.temperature_min}°C to ${s.temperature_max}°C)`
+    : "";
+  const rain = s.precipitation_total != null ? `${s.precipitation_total}mm` : "—";
+  const windiest = s.windiest_day ? `, windiest on ${s.windiest_day.date}` : "";
+  return `${r.city} ${r.start_date} to ${r.end_date}: average ${mean}${range}, ` +
+    `rain ${rain} over ${s.rainy_days} rainy days${windiest}.`;
+}
+
+function describeWeatherComparison(r) {
+  if (!r || !r.a || !r.b) return "";
+  const d = r.difference || {};
+  const warmer = d.temperature_mean == null
+    ? ""
+    : ` The first was ${Math.abs(d.temperature_mean)}°C ${d.temperature_mean >= 0 ? "warmer" : "colder"} on average.`;
+  return `${describeWeatherHistory(r.a)} ${describeWeatherHistory(r.b)}${warmer}`;
+}
+
+// The first few forecast days, one short sentence each.
+function describeWeatherForecast(result) {
+  const days = Array.isArray(result && result.daily) ? result.daily.slice(0, 3) : [];
+  if (!days.length) return "Forecast updated.";
+  const lines = days.map((day) => {
+    const max = day.temperature_max != null ? `${day.temperature_max}°C` : "—";
+    const min = day.temperature_min != null ? `${day.temperature_min}°C` : "—";
+    const chance = day.precipitation_probability_max != null ? ` (${day.precipitation_probability_max}%)` : "";
+    const rain = day.precipitation_sum != null ? `${day.precipitation_sum}mm${chance}` : "—";
+    const sky = day.description ? `${day.description}, ` : "";
+    return `${day.date}: ${sky}high ${max}, low ${min}, rain ${rain}.`;
+  });
+  return `${result.city || "Forecast"} — ${lines.join(" ")}`;
+}
+
+async function executeToolCall(toolCall, context = {}) {
+  const name =
+    toolCall.name ||
+    (toolCall.function && toolCall.function.name) ||
+    toolCall.tool_name;
+  const rawArgs =
+    toolCall.arguments ||
+    (toolCall.function && toolCall.function.arguments) ||
+    toolCall.arguments_json ||
+    "{}";
+  let args = {};
+  if (typeof rawArgs === "string") {
+    try {
+      args = JSON.parse(rawArgs);
+    } catch (err) {
+      args = {};
+    }
+  } else if (rawArgs && typeof rawArgs === "object") {
+    args = rawArgs;
+  }
+  const localBase = `http://localhost:${process.env.PORT || 3000}`;
+  const baseUrl = process.env.PUBLIC_BASE_URL || localBase;
+
+  if (name === "search_library") {
+    const { query, source, ratio, cursor } = args;
+    if (!query) {
+      throw new Error("Missing query");
+    }
+    const options = {
+      query,
+      random: !cursor,
+      ratio: ratio || "1:1",
+      filters: normalizeLibraryFilters(args)
+    };
+    const provider = getImageProvider(source);
+    if (provider) {
+      // A cursor pages this provider only if it issued a page for it.
+      const pages = decodeLibraryCursor(cursor);
+      if (pages && !pages[provider.id]) throw new Error("Invalid cursor");
+      const data = await searchImageProvider(provider, { ...options, page: pages ? pages[provider.id] : 1 });
+      return {
+        images: data.results.map((item) => item.url),
+        results: data.results,
+        source: provider.id,
+        query: data.query,
+        next_cursor: nextPageCursor(provider, data, options.random)
+      };
+    }
+
+    // "multi" (the default) fans out to every configured provider in-process.
+    const data = await searchAllLibraries({ ...options, cursor });
+    return {
+      images: data.results.map((item) => item.url),
+      results: data.results,
+      source: "multi",
+      query: data.query,
+      providers: data.providers,
+      next_cursor: data.nextCursor
+    };
+  }
+
+  if (name === "search_video") {
+    const { query, source, ratio } = args;
+    if (!query) {
+      throw new Error("Missing query");
+    }
+    const providers = listVideoProviders();
+    const provider =
+      providers.find((item) => item.id === source) ||
+      providers.find((item) => item.isConfigured()) ||
+      providers[0];
+    if (!provider) throw new Error("No video library available");
+    const { filters, page } = libraryRequestPage(provider, args);
+    const data = await searchVideoProvider(provider, {
+      query,
+      filters,
+      page,
+      ratio: ratio || "16:9",
+      width: Number(args.width || 0)
+    });
+    return {
+      videos: data.results.map((item) => item.url),
+      results: data.results,
+      source: provider.id,
+      query: data.query,
+      next_cursor: nextPageCursor(provider, data)
+    };
+  }
+
+  if (name === "generate_ai") {
+    const { prompt, count, aspect_ratio } = args;
+    if (!prompt) throw new Error("Missing prompt");
+    const r = await fetch(
+      `${baseUrl}/api/replicate`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt,
+          count: count || 1,
+          aspect_ratio: aspect_ratio || "1:1"
+        })
+      }
+    );
+    const data = await r.json();
+    if (!r.ok || data.error) {
+      throw new Error(data.error || "Flux failed");
+    }
+    return { images: data.images || [] };
+  }
+
+  if (name === "refine_image") {
+    const { prompt, input_image } = args;
+    if (!prompt || !input_image) throw new Error("Missing prompt/input_image");
+    const r = await fetch(
+      `${baseUrl}/api/refine`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt,
+          input_image
+        })
+      }
+    );
+    const data = await r.json();
+    if (!r.ok || data.error) {
+      throw new Error(data.error || "Refine failed");
+    }
+    return { image: data.image || "" };
+  }
+
+  if (PRESENTER_TOOLS.has(name)) {
+    return executePresenterTool(name, args, context.session || null);
+  }
+
+  if (name === "get_weather_history") {
+    const { city, date, start_date, end_date } = args || {};
+    if (!city) {
+      throw new Error("Missing city");
+    }
+    const history = await fetchWeatherHistory({ city, date, start_date, end_date });
+    // A single day also keeps the flat fields this tool has always returned.
+    if (history.daily.length === 1) {
+      return { ...history, ...history.daily[0] };
+    }
+    return history;
+  }
+
+  if (name === "compare_weather_history") {
+    const { city, date, start_date, end_date, other_city, other_date, other_start_date, other_end_date } = args || {};
+    if (!city) {
+      throw new Error("Missing city");
+    }
+    return compareWeatherHistory(
+      { city, date, start_date, end_date },
+      { city: other_city, date: other_date, start_date: other_start_date, end_date: other_end_date }
+    );
+  }
+
+  if (name === "get_weather_forecast") {
+    const { city, lat, lon, days, hours } = args || {};
+    if (!city && (lat === undefined || lon === undefined)) {
+      throw new Error("Missing city or lat/lon");
+    }
+    return fetchWeatherForecast({ city, lat, lon, days, hours });
+  }
+
+  throw new Error("Unknown tool");
+}
+
+app.post("/api/agent", async (req, res) => {
+  const { message, summary, session } = req.body || {};
+  if (!message) {
+    return res.status(400).json({ error: "Missing message" });
+  }
+
+  // With a session, the server-side presenter state wins over client-supplied state.
+  let state = req.body.state;
+  let sess = null;
+  if (session) {
+    sess = getSession(session);
+    if (!sess) return res.status(404).json({ error: "Session not found" });
+    if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+    state = getPresenterState(sess);
+  }
+
+  const tools = [
+    {
+      type: "function",
+      name: "search_library",
       description: "Search images from the best library source.",
       parameters: {
         type: "object",
         properties: {
           query: { type: "string" },
-          source: { type: "string", enum: ["multi", "unsplash", "pexels", "pixabay"] },
-          ratio: { type: "string", enum: ["1:1", "4:3", "16:9", "3:4", "9:16"] }
+          source: { type: "string", enum: ["multi"].concat(listImageProviders().map((p) => p.id)) },
+          ratio: { type: "string", enum: ["1:1", "4:3", "16:9", "3:4", "9:16"] },
+          cursor: { type: "string", description: "next_cursor from a previous search with the same source, to get the next page" },
+          color: { type: "string", description: "black_and_white, black, white, gray, red, orange, yellow, green, teal, blue, purple, pink, brown or #rrggbb" },
+          min_width: { type: "integer", minimum: 1 },
+          min_height: { type: "integer", minimum: 1 },
+          safe_search: { type: "boolean" },
+          content_type: { type: "string", enum: ["photo", "illustration", "vector"] },
+          locale: { type: "string", description: "e.g. en-US or zh-CN" },
+          orientation: { type: "string", enum: ["square", "landscape", "portrait"] }
+        },
+        required: ["query"]
+      }
+    },
+    {
+      type: "function",
+      name: "search_video",
+      description: "Search short stock videos for motion backgrounds.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string" },
+          source: { type: "string", enum: listVideoProviders().map((p) => p.id) },
+          ratio: { type: "string", enum: ["1:1", "4:3", "16:9", "3:4", "9:16"] },
+          cursor: { type: "string", description: "next_cursor from a previous video search, to get more results" },
+          width: { type: "integer", minimum: 1, description: "Display width, to pick the rendition" },
+          min_width: { type: "integer", minimum: 1 },
+          min_height: { type: "integer", minimum: 1 },
+          safe_search: { type: "boolean" },
+          locale: { type: "string", description: "e.g. en-US or zh-CN" },
+          orientation: { type: "string", enum: ["square", "landscape", "portrait"] }
         },
         required: ["query"]
       }
     },
-    {
-      type: "function",
-      name: "set_view",
-      description: "Switch the presenter view between weather and gallery.",
-      parameters: {
-        type: "object",
-        properties: {
-          view: { type: "string", enum: ["weather", "gallery"] }
-        },
-        required: ["view"]
+    {
+      type: "function",
+      name: "set_view",
+      description: "Switch the presenter view between weather and gallery.",
+      parameters: {
+        type: "object",
+        properties: {
+          view: { type: "string", enum: ["weather", "gallery"] }
+        },
+        required: ["view"]
+      }
+    },
+    {
+      type: "function",
+      name: "refresh_weather",
+      description: "Refresh the weather data and wallpaper.",
+      parameters: {
+        type: "object",
+        properties: {}
+      }
+    },
+    {
+      type: "function",
+      name: "show_image",
+      description: "Show one image on the paired presenter screen, by URL or by index into the last search results.",
+      parameters: {
+        type: "object",
+        properties: {
+          url: { type: "string" },
+          index: { type: "integer", minimum: 0 }
+        }
+      }
+    },
+    {
+      type: "function",
+      name: "next_image",
+      description: "Advance the paired presenter screen to the next image.",
+      parameters: {
+        type: "object",
+        properties: {}
+      }
+    },
+    {
+      type: "function",
+      name: "start_slideshow",
+      description: "Start a server-run slideshow on the paired presenter, from the given images or the last search or generation results.",
+      parameters: {
+        type: "object",
+        properties: {
+          images: { type: "array", items: { type: "string" } },
+          from: { type: "string", enum: ["last_search", "last_generation"] },
+          interval_seconds: { type: "integer", minimum: 3, maximum: 3600 },
+          shuffle: { type: "boolean" },
+          loop: { type: "boolean" }
+        }
+      }
+    },
+    {
+      type: "function",
+      name: "get_weather_history",
+      description: "Get historical daily weather for a city on a date or over a start/end range, with summary stats.",
+      parameters: {
+        type: "object",
+        properties: {
+          city: { type: "string" },
+          date: { type: "string", description: "YYYY-MM-DD, for a single day" },
+          start_date: { type: "string", description: "YYYY-MM-DD" },
+          end_date: { type: "string", description: "YYYY-MM-DD" }
+        },
+        required: ["city"]
+      }
+    },
+    {
+      type: "function",
+      name: "compare_weather_history",
+      description: "Compare historical weather of two cities, or of one city over two periods. Omitted other_* values reuse the first side's.",
+      parameters: {
+        type: "object",
+        properties: {
+          city: { type: "string" },
+          date: { type: "string", description: "YYYY-MM-DD" },
+          start_date: { type: "string", description: "YYYY-MM-DD" },
+          end_date: { type: "string", description: "YYYY-MM-DD" },
+          other_city: { type: "string" },
+          other_date: { type: "string", description: "YYYY-MM-DD" },
+          other_start_date: { type: "string", description: "YYYY-MM-DD" },
+          other_end_date: { type: "string", description: "YYYY-MM-DD" }
+        },
+        required: ["city"]
+      }
+    },
+    {
+      type: "function",
+      name: "get_weather_forecast",
+      description: "Get the weather forecast for a city or coordinates: daily for up to 7 days, plus hourly if hours is set.",
+      parameters: {
+        type: "object",
+        properties: {
+          city: { type: "string" },
+          lat: { type: "number" },
+          lon: { type: "number" },
+          days: { type: "integer", minimum: 1, maximum: 7 },
+          hours: { type: "integer", minimum: 0, maximum: 168, description: "Hourly rows to include, e.g. 24 for today" }
+        }
+      }
+    },
+    {
+      type: "function",
+      name: "generate_ai",
+      description: "Generate images with Flux.",
+      parameters: {
+        type: "object",
+        properties: {
+          prompt: { type: "string" },
+          count: { type: "integer", minimum: 1, maximum: 5 },
+          aspect_ratio: { type: "string", enum: ["1:1", "4:3", "16:9", "3:4", "9:16"] }
+        },
+        required: ["prompt"]
+      }
+    },
+    {
+      type: "function",
+      name: "refine_image",
+      description: "Refine a single image with Flux Kontext.",
+      parameters: {
+        type: "object",
+        properties: {
+          prompt: { type: "string" },
+          input_image: { type: "string" }
+        },
+        required: ["prompt", "input_image"]
+      }
+    }
+  ];
+
+  const system = [
+    "You are VISTA Agent. You can chat normally or call a tool.",
+    "Use tools only when user intent requires system action.",
+    "If required parameters are missing, ask a brief question instead of calling tools.",
+    "Do not ask the user which image library to use; choose automatically (default to Unsplash).",
+    "If state includes preferred_ratio, use it when ratio/aspect_ratio is missing.",
+    "Use search_video when the user asks for videos or motion backgrounds.",
+    "Use set_view to switch between weather and gallery, and refresh_weather to update weather.",
+    "set_view, refresh_weather, show_image, next_image and start_slideshow drive the paired screen; their results carry a status, and only say the screen changed when it is succeeded.",
+    "If the user asks for historical weather (e.g., yesterday, last week, or a specific date), call get_weather_history instead of refresh_weather; use start_date/end_date for ranges such as the past 7 days.",
+    "To compare past weather between two cities or two periods, call compare_weather_history.",
+    "If the user asks about future weather (e.g., tomorrow, this weekend, will it rain), call get_weather_forecast.",
+    "After tools run, always produce a natural language reply summarizing results.",
+    "Never claim you executed a tool unless you actually called it.",
+    "You may call more tools after seeing results, e.g. check yesterday's weather and then search matching images; stop once you can answer.",
+    "Prefer the fewest tool calls that answer the request."
+  ].join(" ");
+
+  const userContext = [
+    summary ? `Conversation summary: ${summary}` : null,
+    state ? `Global state: ${JSON.stringify(state)}` : null,
+    `User message: ${message}`
+  ].filter(Boolean).join("\n");
+
+  try {
+    const first = await callOpenAIResponses({
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: userContext }
+      ],
+      tools
+    });
+
+    const toolCalls = extractToolCalls(first);
+    const replyText = extractOutputText(first);
+
+    if (!toolCalls.length) {
+      const inferred = inferToolFromText(message, state || {});
+      if (inferred && inferred.reply) {
+        return res.json({
+          tools: [],
+          steps: [],
+          stopped: "done",
+          reply: inferred.reply
+        });
+      }
+      if (inferred && Array.isArray(inferred.tools) && inferred.tools.length) {
+        const toolResults = [];
+        for (const tool of inferred.tools) {
+          const result = await executeToolCall({
+            name: tool.name,
+            arguments: JSON.stringify(tool.args || {})
+          }, { session: sess });
+          recordToolInState(sess, tool.name, tool.args || {}, result);
+          toolResults.push({
+            name: tool.name,
+            args: tool.args || {},
+            result
+          });
+        }
+        const fallbackReply = (() => {
+          const firstTool = toolResults[0];
+          if (!firstTool) return "";
+          if (firstTool.name === "get_weather_history") {
+            const text = describeWeatherHistory(firstTool.result);
+            if (text) return text;
+          }
+          if (firstTool.name === "compare_weather_history") {
+            const text = describeWeatherComparison(firstTool.result);
+            if (text) return text;
+          }
+          if (firstTool.name === "get_weather_forecast") {
+            return describeWeatherForecast(firstTool.result);
+          }
+          if (firstTool.name === "search_library" || firstTool.name === "search_video") {
+            return describeSearchResult(firstTool.result);
+          }
+          if (firstTool.name === "generate_ai") {
+            const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
+            return count ? `Generated ${count} images.` : "Generation completed.";
+          }
+          return "Done.";
+        })();
+        return res.json({
+          tools: toolResults,
+          steps: [{ step: 1, tools: toolResults }],
+          stopped: "done",
+          reply: fallbackReply || "Done."
+        });
+      }
+      return res.json({
+        tools: [],
+        steps: [],
+        stopped: "done",
+        reply: replyText || "Got it. What would you like to do next?"
+      });
+    }
+
+    // Feed tool outputs back until the model answers in text or a budget runs out.
+    // Each tool run and follow-up model call only gets the time left in the
+    // budget; one that overruns is abandoned (its result is not recorded).
+    const startedAt = Date.now();
+    const remainingMs = () => AGENT_TIME_BUDGET_MS - (Date.now() - startedAt);
+    const steps = [];
+    const toolResults = [];
+    let response = first;
+    let calls = toolCalls;
+    let loopReply = "";
+    let stopped = "done";
+    while (calls.length) {
+      const stepResults = [];
+      const toolOutputs = [];
+      for (const call of calls) {
+        // Outputs answer the call_id ("call_…"); `id` is the output item ("fc_…").
+        const callId = call.call_id || call.id;
+        const toolArgsRaw = call.arguments || call.arguments_json || "{}";
+        let toolArgs = {};
+        if (typeof toolArgsRaw === "string") {
+          try {
+            toolArgs = JSON.parse(toolArgsRaw);
+          } catch (err) {
+            toolArgs = {};
+          }
+        } else if (toolArgsRaw && typeof toolArgsRaw === "object") {
+          toolArgs = toolArgsRaw;
+        }
+        const toolName = call.name || (call.function && call.function.name) || "";
+        if (toolName === "refine_image") {
+          const needsImage = !toolArgs.input_image || /^(current|current image|current one)$/i.test(String(toolArgs.input_image || "").trim());
+          if (needsImage && state && state.current_image) {
+            toolArgs.input_image = state.current_image;
+            call.arguments = JSON.stringify(toolArgs);
+          }
+        }
+        // A failed tool is reported back so the model can retry or explain.
+        const entry = { name: toolName, args: toolArgs };
+        if (remainingMs() <= 0) {
+          entry.error = "Skipped, the agent ran out of time";
+        } else {
+          try {
+            entry.result = await withTimeout(executeToolCall(call, { session: sess }), remainingMs(), toolName);
+            recordToolInState(sess, toolName, toolArgs, entry.result);
+          } catch (err) {
+            entry.error = err.message || "Tool failed";
+          }
+        }
+        stepResults.push(entry);
+        if (callId) {
+          toolOutputs.push({
+            type: "function_call_output",
+            call_id: callId,
+            output: JSON.stringify(entry.error ? { error: entry.error } : entry.result)
+          });
+        }
+      }
+      toolResults.push(...stepResults);
+      steps.push({
+        step: steps.length + 1,
+        text: extractOutputText(response) || undefined,
+        tools: stepResults,
+        elapsed_ms: Date.now() - startedAt
+      });
+      // Later steps see what earlier ones changed (last search, current image).
+      if (sess) state = getPresenterState(sess);
+
+      // Out of time there is no room for a summary; the fallback reply is used.
+      if (remainingMs() <= 0) {
+        stopped = "time_budget";
+        break;
+      }
+      if (steps.length >= AGENT_MAX_STEPS) stopped = "max_steps";
+      try {
+        // Out of steps, ask for a summary without offering tools.
+        const input = stopped === "done"
+          ? toolOutputs
+          : toolOutputs.concat({ role: "user", content: "Summarize the tool results in a helpful reply." });
+        response = await withTimeout(
+          callOpenAIResponses({
+            input,
+            tools: stopped === "done" ? tools : undefined,
+            previous_response_id: response.id
+          }),
+          remainingMs(),
+          "Agent follow-up"
+        );
+      } catch (err) {
+        console.error("Agent follow-up error:", err);
+        stopped = err.code === "ETIMEDOUT" ? "time_budget" : "error";
+        break;
+      }
+      loopReply = extractOutputText(response);
+      if (stopped !== "done") break;
+      calls = extractToolCalls(response);
+    }
+
+    const fallbackReply = (() => {
+      const firstTool = toolResults.find((tool) => !tool.error);
+      if (!firstTool) return toolResults.length ? `The tool failed: ${toolResults[0].error}` : "";
+      if (firstTool.name === "get_weather_history") {
+        const text = describeWeatherHistory(firstTool.result);
+        if (text) return text;
+      }
+      if (firstTool.name === "compare_weather_history") {
+        const text = describeWeatherComparison(firstTool.result);
+        if (text) return text;
+      }
+      if (firstTool.result && (firstTool.result.command || firstTool.result.status === "no_presenter")) {
+        return describePresenterCommand(firstTool.result);
+      }
+      if (firstTool.name === "refresh_weather") {
+        return "I have updated the weather data. Do you want today or the past 7 days?";
+      }
+      if (firstTool.name === "set_view") {
+        return "View updated.";
+      }
+      if (firstTool.name === "get_weather_forecast") {
+        return describeWeatherForecast(firstTool.result);
+      }
+      if (firstTool.name === "search_library" || firstTool.name === "search_video") {
+        return describeSearchResult(firstTool.result);
+      }
+      if (firstTool.name === "generate_ai") {
+        const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
+        return count ? `Generated ${count} images.` : "Generation completed.";
+      }
+      if (firstTool.name === "refine_image") {
+        return "Refine completed.";
+      }
+      return "Done.";
+    })();
+
+    return res.json({
+      tools: toolResults,
+      steps,
+      stopped,
+      reply: loopReply || replyText || fallbackReply || "Got it. What would you like to do next?"
+    });
+  } catch (err) {
+    console.error("Agent Error:", err);
+    res.status(500).json({ error: err.message || "Agent failed" });
+  }
+});
+
+// =======================================================
+// IMAGE RESULTS — NORMALIZED SCHEMA
+// =======================================================
+// Every library route returns `images` (plain URLs, as before) plus
+// `results`: one object per image in the same order, with the same shape
+// for every provider:
+// { id, provider, url, thumbnail, width, height, color, alt,
+//   author: { name, url }, source_url, license: { name, url } }
+// Unsplash items also carry `download_location` (see /api/unsplash/download)
+// and the `credit: { text, html }` line its guidelines require. Their url and
+// thumbnail hotlink images.unsplash.com directly, and profile links carry
+// the referral UTM params.
+const UNSPLASH_APP_NAME = process.env.UNSPLASH_APP_NAME || "vista";
+
+const IMAGE_LICENSES = {
+  unsplash: { name: "Unsplash License", url: "https://unsplash.com/license" },
+  pexels: { name: "Pexels License", url: "https://www.pexels.com/license/" },
+  pixabay: { name: "Pixabay Content License", url: "https://pixabay.com/service/license-summary/" }
+};
+
+function withUnsplashReferral(link) {
+  if (!link) return "";
+  try {
+    const url = new URL(link);
+    url.searchParams.set("utm_source", UNSPLASH_APP_NAME);
+    url.searchParams.set("utm_medium", "referral");
+    return url.toString();
+  } catch (err) {
+    return link;
+  }
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+function unsplashCredit(name, profileUrl) {
+  const home = withUnsplashReferral("https://unsplash.com/");
+  return {
+    text: `Photo by ${name} on Unsplash`,
+    html:
+      `Photo by <a href="${escapeHtml(profileUrl || home)}">${escapeHtml(name)}</a>` +
+      ` on <a href="${escapeHtml(home)}">Unsplash</a>`
+  };
+}
+
+function normalizeUnsplashPhoto(photo, { width, height } = {}) {
+  if (!photo || !photo.urls) return null;
+  let url = photo.urls.regular;
+  if (width > 0 && photo.urls.raw) {
+    const hParam = height > 0 ? `&h=${height}` : "";
+    url = `${photo.urls.raw}&w=${width}${hParam}&auto=format&fit=crop`;
+  }
+  const user = photo.user || {};
+  const links = photo.links || {};
+  const name = user.name || user.username || "";
+  const profileUrl = withUnsplashReferral(user.links && user.links.html);
+  return {
+    id: `unsplash:${photo.id}`,
+    provider: "unsplash",
+    url,
+    thumbnail: photo.urls.small || photo.urls.thumb || url,
+    width: photo.width || null,
+    height: photo.height || null,
+    color: photo.color || null,
+    alt: photo.alt_description || photo.description || "",
+    author: { name, url: profileUrl },
+    source_url: withUnsplashReferral(links.html),
+    license: IMAGE_LICENSES.unsplash,
+    download_location: links.download_location || "",
+    credit: unsplashCredit(name, profileUrl)
+  };
+}
+
+function normalizePexelsPhoto(photo) {
+  if (!photo || !photo.src) return null;
+  return {
+    id: `pexels:${photo.id}`,
+    provider: "pexels",
+    url: photo.src.large,
+    thumbnail: photo.src.medium || photo.src.small || photo.src.large,
+    width: photo.width || null,
+    height: photo.height || null,
+    color: photo.avg_color || null,
+    alt: photo.alt || "",
+    author: {
+      name: photo.photographer || "",
+      url: photo.photographer_url || ""
+    },
+    source_url: photo.url || "",
+    license: IMAGE_LICENSES.pexels
+  };
+}
+
+function normalizePixabayHit(hit) {
+  const url = hit && (hit.largeImageURL || hit.webformatURL);
+  if (!url) return null;
+  return {
+    id: `pixabay:${hit.id}`,
+    provider: "pixabay",
+    url,
+    thumbnail: hit.webformatURL || hit.previewURL || url,
+    width: hit.imageWidth || null,
+    height: hit.imageHeight || null,
+    color: null,
+    alt: hit.tags || "",
+    author: {
+      name: hit.user || "",
+      url: hit.user && hit.user_id ? `https://pixabay.com/users/${hit.user}-${hit.user_id}/` : ""
+    },
+    source_url: hit.pageURL || "",
+    license: IMAGE_LICENSES.pixabay
+  };
+}
+
+// =======================================================
+// VIDEO RESULTS — NORMALIZED SCHEMA
+// =======================================================
+// The /api/<id>/videos routes return the same envelope as the image routes,
+// with one object per video:
+// { id, provider, url, poster, width, height, duration, alt,
+//   renditions: [{ quality, width, height, type, url }],
+//   author: { name, url }, source_url, license: { name, url } }
+// renditions are sorted largest first; url is the one picked for the
+// requested width (or the largest).
+function pickRendition(renditions, width) {
+  if (!renditions.length) return null;
+  if (!(width > 0)) return renditions[0];
+  const fitting = renditions.filter((item) => item.width >= width);
+  return fitting.length ? fitting[fitting.length - 1] : renditions[0];
+}
+
+function sortRenditions(renditions) {
+  return renditions
+    .filter((item) => item.url)
+    .sort((a, b) => (b.width || 0) - (a.width || 0));
+}
+
+function normalizePexelsVideo(video, { width } = {}) {
+  if (!video || !Array.isArray(video.video_files)) return null;
+  const renditions = sortRenditions(
+    video.video_files
+      .filter((file) => file.file_type === "video/mp4")
+      .map((file) => ({
+        quality: file.quality || "",
+        width: file.width || null,
+        height: file.height || null,
+        type: file.file_type,
+        url: file.link
+      }))
+  );
+  const best = pickRendition(renditions, width);
+  if (!best) return null;
+  const user = video.user || {};
+  return {
+    id: `pexels:${video.id}`,
+    provider: "pexels",
+    url: best.url,
+    poster: video.image || "",
+    width: video.width || best.width,
+    height: video.height || best.height,
+    duration: video.duration || null,
+    alt: "",
+    renditions,
+    author: { name: user.name || "", url: user.url || "" },
+    source_url: video.url || "",
+    license: IMAGE_LICENSES.pexels
+  };
+}
+
+function normalizePixabayVideo(hit, { width } = {}) {
+  if (!hit || !hit.videos) return null;
+  const renditions = sortRenditions(
+    Object.keys(hit.videos).map((quality) => ({
+      quality,
+      width: hit.videos[quality].width || null,
+      height: hit.videos[quality].height || null,
+      type: "video/mp4",
+      url: hit.videos[quality].url
+    }))
+  );
+  const best = pickRendition(renditions, width);
+  if (!best) return null;
+  // Newer responses carry a thumbnail per rendition; older ones only a picture_id.
+  const posterSource = ["large", "medium", "small", "tiny"]
+    .map((quality) => hit.videos[quality] && hit.videos[quality].thumbnail)
+    .find(Boolean);
+  const poster = posterSource ||
+    (hit.picture_id ? `https://i.vimeocdn.com/video/${hit.picture_id}_640x360.jpg` : "");
+  return {
+    id: `pixabay:${hit.id}`,
+    provider: "pixabay",
+    url: best.url,
+    poster,
+    width: renditions[0].width,
+    height: renditions[0].height,
+    duration: hit.duration || null,
+    alt: hit.tags || "",
+    renditions,
+    author: {
+      name: hit.user || "",
+      url: hit.user && hit.user_id ? `https://pixabay.com/users/${hit.user}-${hit.user_id}/` : ""
+    },
+    source_url: hit.pageURL || "",
+    license: IMAGE_LICENSES.pixabay
+  };
+}
+
+// =======================================================
+// LIBRARY FILTERS
+// =======================================================
+// One filter set for every provider:
+//   color         black_and_white, black, white, gray, red, orange, yellow,
+//                 green, teal, blue, purple, pink, brown, or a #rrggbb hex
+//   min_width / min_height   in source pixels
+//   safe_search   true/false
+//   content_type  photo, illustration or vector
+//   locale        e.g. "en-US", "zh-CN"
+//   orientation   square, landscape or portrait (overrides ratio)
+// Each provider maps what it can onto native parameters and reports which
+// filters it handled; the rest are applied to the normalized results.
+const LIBRARY_COLORS = [
+  "black_and_white", "black", "white", "gray", "red", "orange", "yellow",
+  "green", "teal", "blue", "purple", "pink", "brown"
+];
+const LIBRARY_CONTENT_TYPES = ["photo", "illustration", "vector"];
+const LIBRARY_ORIENTATIONS = ["square", "landscape", "portrait"];
+
+function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Bucket an RGB hex into the nearest LIBRARY_COLORS name by hue/lightness.
+function hexToColorName(hex) {
+  const rgb = parseHexColor(hex);
+  if (!rgb) return "";
+  const [r, g, b] = rgb.map((v) => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const light = (max + min) / 2;
+  const sat = max === min ? 0 : (max - min) / (1 - Math.abs(2 * light - 1));
+  if (sat < 0.15) {
+    if (light < 0.2) return "black";
+    if (light > 0.85) return "white";
+    return "gray";
+  }
+  let hue = 0;
+  if (max === r) hue = 60 * (((g - b) / (max - min)) % 6);
+  else if (max === g) hue = 60 * ((b - r) / (max - min) + 2);
+  else hue = 60 * ((r - g) / (max - min) + 4);
+  if (hue < 0) hue += 360;
+  if (hue < 15 || hue >= 345) return light < 0.3 ? "brown" : "red";
+  if (hue < 45) return light < 0.35 ? "brown" : "orange";
+  if (hue < 70) return "yellow";
+  if (hue < 165) return "green";
+  if (hue < 195) return "teal";
+  if (hue < 255) return "blue";
+  if (hue < 290) return "purple";
+  return "pink";
+}
+
+function parseBooleanParam(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "boolean") return value;
+  return /^(1|true|yes|on)$/i.test(String(value));
+}
+
+// Accepts route query params or tool args; throws on values no provider understands.
+function normalizeLibraryFilters(input = {}) {
+  const filters = {};
+  if (input.color) {
+    const raw = String(input.color).trim().toLowerCase();
+    if (parseHexColor(raw)) {
+      filters.colorHex = raw.startsWith("#") ? raw : `#${raw}`;
+      filters.color = hexToColorName(raw);
+    } else if (LIBRARY_COLORS.includes(raw)) {
+      filters.color = raw;
+    } else {
+      throw new Error(`Invalid color, use a #hex or one of: ${LIBRARY_COLORS.join(", ")}`);
+    }
+  }
+  const minWidth = Number(input.min_width || 0);
+  const minHeight = Number(input.min_height || 0);
+  if (minWidth > 0) filters.minWidth = Math.floor(minWidth);
+  if (minHeight > 0) filters.minHeight = Math.floor(minHeight);
+  const safe = parseBooleanParam(input.safe_search);
+  if (safe !== undefined) filters.safeSearch = safe;
+  if (input.content_type) {
+    if (!LIBRARY_CONTENT_TYPES.includes(input.content_type)) {
+      throw new Error(`Invalid content_type, use one of: ${LIBRARY_CONTENT_TYPES.join(", ")}`);
+    }
+    filters.contentType = input.content_type;
+  }
+  if (input.locale) {
+    const match = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(String(input.locale).trim());
+    if (!match) throw new Error("Invalid locale");
+    filters.locale = match[2]
+      ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}`
+      : match[1].toLowerCase();
+  }
+  if (input.orientation) {
+    if (!LIBRARY_ORIENTATIONS.includes(input.orientation)) {
+      throw new Error(`Invalid orientation, use one of: ${LIBRARY_ORIENTATIONS.join(", ")}`);
+    }
+    filters.orientation = input.orientation;
+  }
+  return filters;
+}
+
+function libraryFiltersFromQuery(query) {
+  return normalizeLibraryFilters({
+    color: query.color,
+    min_width: query.min_width,
+    min_height: query.min_height,
+    safe_search: query.safe_search,
+    content_type: query.content_type,
+    locale: query.locale,
+    orientation: query.orientation
+  });
+}
+
+function imageOrientation(item) {
+  if (!item.width || !item.height) return "";
+  const ratio = item.width / item.height;
+  if (ratio > 1.1) return "landscape";
+  if (ratio < 0.9) return "portrait";
+  return "square";
+}
+
+// Apply whatever the provider could not express natively. Unknown
+// dimensions or colors are kept rather than guessed away.
+function applyPostFilters(results, filters = {}, handled = []) {
+  const done = new Set(handled);
+  return results.filter((item) => {
+    if (filters.minWidth && !done.has("minWidth") && item.width && item.width < filters.minWidth) {
+      return false;
+    }
+    if (filters.minHeight && !done.has("minHeight") && item.height && item.height < filters.minHeight) {
+      return false;
+    }
+    if (filters.orientation && !done.has("orientation")) {
+      const orientation = imageOrientation(item);
+      if (orientation && orientation !== filters.orientation) return false;
+    }
+    if (filters.color && !done.has("color") && item.color) {
+      const name = hexToColorName(item.color);
+      const wanted = filters.color === "black_and_white" ? ["black", "white", "gray"] : [filters.color];
+      if (name && !wanted.includes(name)) return false;
+    }
+    return true;
+  });
+}
+
+// =======================================================
+// IMAGE PROVIDERS — REGISTRY
+// =======================================================
+// A provider implements:
+//   id, label, keyName       "unsplash", "Unsplash", "UNSPLASH_KEY"
+//   isConfigured()           whether its API key is present
+//   orientations             { square, landscape, portrait } -> native value
+//   contentTypes             which of photo/illustration/vector it carries
+//   queryLanguages           languages it searches well in, preferred first
+//   filterParams(filters)    -> { params, handled } native query + filters it applied
+//   search({ query, page, ratio, width, height, filters }) -> { results, ...pageEnvelope }
+//   random({ query, ratio, width, height, filters })       -> { results, ...pageEnvelope }
+//   searchVideos({ query, page, ratio, width, filters })   optional, normalized videos
+// The /api/<id> routes, the search_library tool enum and "multi" mode are
+// all built from this registry, so a new library only needs registering.
+// Providers with searchVideos also get /api/<id>/videos and search_video.
+const imageProviders = new Map();
+const LIBRARY_PER_PAGE = 30;
+
+function registerImageProvider(provider) {
+  imageProviders.set(provider.id, provider);
+  return provider;
+}
+
+function getImageProvider(id) {
+  return imageProviders.get(id) || null;
+}
+
+function listImageProviders() {
+  return Array.from(imageProviders.values());
+}
+
+function listVideoProviders() {
+  return listImageProviders().filter((provider) => typeof provider.searchVideos === "function");
+}
+
+function ratioOrientation(ratio) {
+  const value = String(ratio || "");
+  if (value.startsWith("1:1")) return "square";
+  if (value === "4:3" || value === "16:9") return "landscape";
+  if (value === "3:4" || value === "9:16") return "portrait";
+  return "";
+}
+
+function providerOrientation(provider, ratio, filters = {}) {
+  const orientation = filters.orientation || ratioOrientation(ratio);
+  return orientation ? provider.orientations[orientation] || "" : "";
+}
+
+// The paging fields every library response carries. nextCursor is added by
+// the routes, since it also encodes which provider the page belongs to.
+function pageEnvelope(page, totalResults) {
+  const total = Math.max(0, Number(totalResults) || 0);
+  return {
+    page,
+    perPage: LIBRARY_PER_PAGE,
+    totalResults: total,
+    totalPages: Math.max(1, Math.ceil(total / LIBRARY_PER_PAGE))
+  };
+}
+
+// Random mode for providers without a random endpoint: learn the real page
+// count from (cached) page 1, then pick a page inside it.
+async function randomPageSearch(provider, options) {
+  const first = await libraryCache.wrap(libraryCacheKey(provider, options, 1), () =>
+    provider.search({ ...options, page: 1 })
+  );
+  const page = Math.floor(Math.random() * first.totalPages) + 1;
+  if (page === 1) return first;
+  return libraryCache.wrap(libraryCacheKey(provider, options, page), () =>
+    provider.search({ ...options, page })
+  );
+}
+
+// A random pick stands in for page 1, so its cursor continues from page 2 of
+// the regular search whatever page the pick came from.
+function nextPageCursor(provider, data, random = false) {
+  if (random && data.results.length) return encodeLibraryCursor({ [provider.id]: 2 });
+  if (!data.results.length || data.page >= data.totalPages) return null;
+  return encodeLibraryCursor({ [provider.id]: data.page + 1 });
+}
+
+function assertProviderConfigured(provider) {
+  if (!provider.isConfigured()) {
+    throw new Error(`Missing ${provider.keyName}`);
+  }
+}
+
+// In-process search used by the routes and by the agent tools, behind the
+// library cache. The query is localized first (see QUERY TRANSLATION) and
+// the result carries `query: { original, language, searched, translator }`.
+async function searchImageProvider(provider, options) {
+  assertProviderConfigured(provider);
+  const contentType = options.filters && options.filters.contentType;
+  const { query, filters, info } = await localizeLibraryQuery(provider, options);
+  if (contentType && !provider.contentTypes.includes(contentType)) {
+    return { results: [], ...pageEnvelope(1, 0), query: info };
+  }
+  const localized = { ...options, query, filters };
+  const data = localized.random
+    ? await randomFromPool(provider, localized)
+    : await libraryCache.wrap(libraryCacheKey(provider, localized, localized.page), () =>
+        provider.search(localized)
+      );
+  return { ...data, query: info };
+}
+
+async function searchVideoProvider(provider, options) {
+  assertProviderConfigured(provider);
+  const { query, filters, info } = await localizeLibraryQuery(provider, options);
+  const localized = { ...options, query, filters };
+  const data = await libraryCache.wrap(`videos:${libraryCacheKey(provider, localized, localized.page)}`, () =>
+    provider.searchVideos(localized)
+  );
+  return { ...data, query: info };
+}
+
+// =======================================================
+// LIBRARY CACHE — TTL + IN-FLIGHT COALESCING
+// =======================================================
+// Kiosks repeat the same queries all day. Provider responses are cached by
+// provider, query, page, ratio and size; identical concurrent requests share
+// one upstream call. Random mode grows a pool of results per query (one
+// upstream call per request until LIBRARY_POOL_SIZE) and then serves
+// shuffled picks from it until the pool expires.
+const LIBRARY_CACHE_TTL_MS = Number(process.env.LIBRARY_CACHE_TTL_MS) || 10 * 60 * 1000;
+const LIBRARY_CACHE_MAX = Number(process.env.LIBRARY_CACHE_MAX) || 500;
+const LIBRARY_POOL_SIZE = Number(process.env.LIBRARY_POOL_SIZE) || 120;
+
+// Map keeps insertion order, so re-inserting on read gives LRU eviction.
+function createTtlCache({ ttlMs, max }) {
+  const entries = new Map();
+  const inflight = new Map();
+
+  const cache = {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
       }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
     },
-    {
-      type: "function",
-      name: "refresh_weather",
-      description: "Refresh the weather data and wallpaper.",
-      parameters: {
-        type: "object",
-        properties: {}
+    set(key, value, expiresAt = Date.now() + ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+      while (entries.size > max) {
+        entries.delete(entries.keys().next().value);
       }
+      return value;
     },
-    {
-      type: "function",
-      name: "get_weather_history",
-      description: "Get historical daily weather for a city and date.",
-      parameters: {
-        type: "object",
-        properties: {
-          city: { type: "string" },
-          date: { type: "string", description: "YYYY-MM-DD" }
+    expiresAt(key) {
+      const entry = entries.get(key);
+      return entry ? entry.expiresAt : 0;
+    },
+    // Run `loader` once per key at a time; concurrent callers get the same promise.
+    coalesce(key, loader) {
+      if (inflight.has(key)) return inflight.get(key);
+      const promise = Promise.resolve()
+        .then(loader)
+        .finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+      return promise;
+    },
+    async wrap(key, loader) {
+      const hit = cache.get(key);
+      if (hit !== undefined) return hit;
+      return cache.coalesce(key, async () => cache.set(key, await loader()));
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+  return cache;
+}
+
+const libraryCache = createTtlCache({ ttlMs: LIBRARY_CACHE_TTL_MS, max: LIBRARY_CACHE_MAX });
+
+function libraryCacheKey(provider, options, page) {
+  return JSON.stringify([
+    provider.id,
+    String(options.query || "").trim().toLowerCase(),
+    page,
+    options.ratio || "",
+    options.width || 0,
+    options.height || 0,
+    options.filters || {}
+  ]);
+}
+
+function sampleResults(items, count) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, count);
+}
+
+async function randomFromPool(provider, options) {
+  const key = libraryCacheKey(provider, options, "random");
+  let pool = libraryCache.get(key);
+  if (!pool || !pool.complete) {
+    // Merge inside the coalesced loader so concurrent callers share one
+    // upstream batch and it is added to the pool exactly once.
+    pool = await libraryCache.coalesce(`${key}#grow`, async () => {
+      const batch = await provider.random(options);
+      const current = libraryCache.get(key) || { results: [], complete: false };
+      const known = new Set(current.results.map((item) => item.id));
+      const fresh = batch.results.filter((item) => !known.has(item.id));
+      const results = current.results.concat(fresh).slice(0, LIBRARY_POOL_SIZE);
+      return libraryCache.set(
+        key,
+        {
+          results,
+          // Stop growing once full, or when a batch brings nothing new.
+          complete: !fresh.length || results.length >= LIBRARY_POOL_SIZE,
+          envelope: pageEnvelope(batch.page, batch.totalResults)
         },
-        required: ["city", "date"]
+        libraryCache.expiresAt(key) || undefined
+      );
+    });
+  }
+  return {
+    results: sampleResults(pool.results, LIBRARY_PER_PAGE),
+    ...pool.envelope
+  };
+}
+
+// =======================================================
+// QUERY TRANSLATION
+// =======================================================
+// Stock libraries match English keywords far better than, say, Chinese.
+// Before searching, the query's language is detected from its script (or
+// the locale filter for Latin text). A provider whose queryLanguages
+// include it gets the query as-is, with the locale set to match; any other
+// provider gets it translated into its first language. Translators are
+// tried in QUERY_TRANSLATOR order (default "openai,dictionary"; "off"
+// disables translation), and results are cached.
+const QUERY_TRANSLATOR = process.env.QUERY_TRANSLATOR || "openai,dictionary";
+const QUERY_TRANSLATE_TIMEOUT_MS = Number(process.env.QUERY_TRANSLATE_TIMEOUT_MS) || 4000;
+const QUERY_TRANSLATION_TTL_MS = Number(process.env.QUERY_TRANSLATION_TTL_MS) || 6 * 60 * 60 * 1000;
+
+const QUERY_SCRIPTS = [
+  { language: "ja", pattern: /[\u3040-\u30ff]/ },
+  { language: "ko", pattern: /[\uac00-\ud7af]/ },
+  { language: "zh", pattern: /[\u4e00-\u9fff]/ },
+  { language: "ru", pattern: /[\u0400-\u04ff]/ },
+  { language: "el", pattern: /[\u0370-\u03ff]/ },
+  { language: "th", pattern: /[\u0e00-\u0e7f]/ },
+  { language: "ar", pattern: /[\u0600-\u06ff]/ }
+];
+const NON_LATIN_LANGUAGES = ["ja", "ko", "zh", "ru", "uk", "bg", "el", "th", "ar"];
+const LANGUAGE_NAMES = {
+  en: "English", zh: "Chinese", ja: "Japanese", ko: "Korean", ru: "Russian", el: "Greek",
+  th: "Thai", ar: "Arabic", es: "Spanish", fr: "French", de: "German", it: "Italian", pt: "Portuguese"
+};
+
+// Local zh -> en fallback, longest match first. Stop words map to "".
+const QUERY_DICTIONARY = {
+  zh: {
+    一些: "", 一张: "", 几张: "", 给我: "", 我想看: "", 我要: "", 请: "", 关于: "", 的: "",
+    和: "", 与: "", 高清: "", 壁纸: "wallpaper", 背景: "background", 视频: "video",
+    猫: "cat", 小猫: "kitten", 狗: "dog", 小狗: "puppy", 鸟: "bird", 鱼: "fish", 马: "horse",
+    熊猫: "panda", 老虎: "tiger", 狮子: "lion", 动物: "animal", 宠物: "pet",
+    花: "flower", 花朵: "flowers", 玫瑰: "rose", 樱花: "cherry blossom", 向日葵: "sunflower",
+    郁金香: "tulip", 树: "tree", 树叶: "leaves", 草地: "meadow", 森林: "forest", 植物: "plant",
+    山: "mountain", 山脉: "mountains", 雪山: "snowy mountain", 海: "sea", 大海: "ocean",
+    海洋: "ocean", 海滩: "beach", 沙滩: "beach", 海浪: "waves", 湖: "lake", 湖泊: "lake",
+    河: "river", 河流: "river", 瀑布: "waterfall", 沙漠: "desert", 岛: "island", 峡谷: "canyon",
+    天空: "sky", 云: "clouds", 云朵: "clouds", 星空: "starry sky", 星星: "stars", 银河: "milky way",
+    月亮: "moon", 太阳: "sun", 日出: "sunrise", 日落: "sunset", 夕阳: "sunset", 彩虹: "rainbow",
+    极光: "aurora", 雪: "snow", 下雪: "snowfall", 雨: "rain", 下雨: "rain", 雾: "fog",
+    闪电: "lightning", 风景: "landscape", 自然: "nature", 田野: "field",
+    春天: "spring", 夏天: "summer", 秋天: "autumn", 冬天: "winter", 春: "spring", 夏: "summer",
+    秋: "autumn", 冬: "winter", 早晨: "morning", 清晨: "morning", 夜晚: "night", 晚上: "night",
+    夜景: "night skyline", 黄昏: "dusk",
+    城市: "city", 街道: "street", 建筑: "architecture", 桥: "bridge", 房子: "house",
+    乡村: "countryside", 寺庙: "temple", 古镇: "old town", 故宫: "forbidden city", 长城: "great wall",
+    北京: "beijing", 上海: "shanghai", 广州: "guangzhou", 深圳: "shenzhen", 杭州: "hangzhou",
+    成都: "chengdu", 香港: "hong kong", 台北: "taipei", 东京: "tokyo", 巴黎: "paris",
+    伦敦: "london", 纽约: "new york",
+    人: "people", 人物: "people", 女孩: "girl", 男孩: "boy", 孩子: "child", 家庭: "family",
+    美食: "food", 食物: "food", 咖啡: "coffee", 茶: "tea", 水果: "fruit", 蛋糕: "cake",
+    汽车: "car", 飞机: "airplane", 火车: "train", 自行车: "bicycle", 船: "boat",
+    抽象: "abstract", 极简: "minimal", 简约: "minimal", 复古: "vintage", 可爱: "cute",
+    美丽: "beautiful", 安静: "calm", 温暖: "warm", 黑白: "black and white", 彩色: "colorful",
+    红色: "red", 橙色: "orange", 黄色: "yellow", 绿色: "green", 蓝色: "blue", 紫色: "purple",
+    粉色: "pink", 黑色: "black", 白色: "white", 金色: "gold",
+    办公室: "office", 书: "books", 音乐: "music", 运动: "sports", 旅行: "travel", 节日: "festival",
+    圣诞: "christmas", 春节: "chinese new year", 灯笼: "lantern", 烟花: "fireworks"
+  }
+};
+
+const queryTranslators = new Map();
+const translationCache = createTtlCache({ ttlMs: QUERY_TRANSLATION_TTL_MS, max: 1000 });
+
+function registerQueryTranslator(translator) {
+  queryTranslators.set(translator.id, translator);
+  return translator;
+}
+
+function detectQueryLanguage(text, locale) {
+  const value = String(text || "");
+  const script = QUERY_SCRIPTS.find((item) => item.pattern.test(value));
+  if (script) return script.language;
+  const localeLanguage = locale ? locale.slice(0, 2) : "";
+  if (localeLanguage && !NON_LATIN_LANGUAGES.includes(localeLanguage)) return localeLanguage;
+  return "en";
+}
+
+// Greedy longest-match over the dictionary; text it cannot place (Latin
+// words, digits) is kept, unknown characters are dropped.
+function dictionaryTranslate(text, from) {
+  const dictionary = QUERY_DICTIONARY[from];
+  if (!dictionary) return "";
+  const longest = Math.max(...Object.keys(dictionary).map((word) => word.length));
+  const words = [];
+  let matched = false;
+  let i = 0;
+  while (i < text.length) {
+    let hit = "";
+    for (let size = Math.min(longest, text.length - i); size > 0; size -= 1) {
+      const chunk = text.slice(i, i + size);
+      if (Object.prototype.hasOwnProperty.call(dictionary, chunk)) {
+        hit = chunk;
+        break;
       }
-    },
-    {
-      type: "function",
-      name: "generate_ai",
-      description: "Generate images with Flux.",
-      parameters: {
-        type: "object",
-        properties: {
-          prompt: { type: "string" },
-          count: { type: "integer", minimum: 1, maximum: 5 },
-          aspect_ratio: { type: "string", enum: ["1:1", "4:3", "16:9", "3:4", "9:16"] }
+    }
+    if (hit) {
+      matched = true;
+      if (dictionary[hit]) words.push(dictionary[hit]);
+      i += hit.length;
+      continue;
+    }
+    const latin = /^[a-z0-9]+/i.exec(text.slice(i));
+    if (latin) {
+      words.push(latin[0].toLowerCase());
+      i += latin[0].length;
+      continue;
+    }
+    i += 1;
+  }
+  if (!matched) return "";
+  return Array.from(new Set(words)).join(" ");
+}
+
+registerQueryTranslator({
+  id: "openai",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_KEY),
+  async translate(text, from, to) {
+    const response = await callOpenAIResponses({
+      input: [
+        {
+          role: "system",
+          content:
+            `Translate this ${LANGUAGE_NAMES[from] || from} stock photo search query into ` +
+            `${LANGUAGE_NAMES[to] || to} search keywords. Keep it short and add a close ` +
+            "synonym only if it helps. Reply with the keywords only."
         },
-        required: ["prompt"]
+        { role: "user", content: text }
+      ]
+    });
+    return extractOutputText(response).replace(/["\n]/g, " ").trim();
+  }
+});
+
+registerQueryTranslator({
+  id: "dictionary",
+  isConfigured: () => true,
+  translate(text, from, to) {
+    return to === "en" ? dictionaryTranslate(text, from) : "";
+  }
+});
+
+// -> { text, translator }; falls back to the original text when nothing works.
+async function translateQuery(text, from, to) {
+  const order = QUERY_TRANSLATOR.split(",").map((id) => id.trim()).filter(Boolean);
+  const key = JSON.stringify([from, to, text]);
+  const hit = translationCache.get(key);
+  if (hit) return hit;
+  return translationCache.coalesce(key, async () => {
+    for (const id of order) {
+      const translator = queryTranslators.get(id);
+      if (!translator || !translator.isConfigured()) continue;
+      try {
+        const translated = await withTimeout(
+          Promise.resolve(translator.translate(text, from, to)),
+          QUERY_TRANSLATE_TIMEOUT_MS,
+          `Translator ${id}`
+        );
+        if (translated) return translationCache.set(key, { text: translated, translator: id });
+      } catch (err) {
+        console.error(`Query translation (${id}) failed:`, err.message);
+      }
+    }
+    // Not cached: a timeout or outage should not disable translation for hours.
+    return { text, translator: null };
+  });
+}
+
+// A locale the caller passed wins; otherwise search in the query's language.
+// A translated query always searches in the translation's language.
+function withSearchLanguage(filters, language, translated = false) {
+  if (translated && filters.locale && filters.locale.slice(0, 2) !== language) {
+    const { locale, ...rest } = filters;
+    return language === "en" ? rest : { ...rest, locale: language };
+  }
+  if (filters.locale || language === "en") return filters;
+  return { ...filters, locale: language };
+}
+
+// -> { query, filters, info: { original, language, searched, translator } }
+async function localizeLibraryQuery(provider, options) {
+  const original = String(options.query || "").trim();
+  const filters = options.filters || {};
+  const language = detectQueryLanguage(original, filters.locale);
+  const languages = provider.queryLanguages || ["en"];
+  if (languages.includes(language)) {
+    return {
+      query: original,
+      filters: withSearchLanguage(filters, language),
+      info: { original, language, searched: original, translator: null }
+    };
+  }
+  const target = languages[0];
+  const translated = await translateQuery(original, language, target);
+  const searchLanguage = translated.translator ? target : language;
+  return {
+    query: translated.text,
+    filters: withSearchLanguage(filters, searchLanguage, Boolean(translated.translator)),
+    info: { original, language, searched: translated.text, translator: translated.translator }
+  };
+}
+
+// =======================================================
+// MULTI-SOURCE SEARCH — INTERLEAVE, DEDUPE, CURSOR
+// =======================================================
+// Queries every configured provider in parallel, interleaves their results
+// round-robin so no single library dominates the first page, and drops
+// duplicates. The cursor is an opaque token holding each provider's next
+// page; providers that ran out of pages are left out of it.
+const LIBRARY_TIMEOUT_MS = Number(process.env.LIBRARY_TIMEOUT_MS) || 8000;
+
+function withTimeout(promise, ms, label) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.code = "ETIMEDOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function encodeLibraryCursor(pages) {
+  if (!Object.keys(pages).length) return null;
+  return Buffer.from(JSON.stringify({ v: 1, pages })).toString("base64url");
+}
+
+function decodeLibraryCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!data || typeof data.pages !== "object") throw new Error("bad cursor");
+    const pages = {};
+    Object.entries(data.pages).forEach(([id, page]) => {
+      if (Number.isInteger(page) && page > 0) pages[id] = page;
+    });
+    return pages;
+  } catch (err) {
+    throw new Error("Invalid cursor");
+  }
+}
+
+// Same file on a different CDN size still shares host + path.
+function imageUrlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname}`.toLowerCase();
+  } catch (err) {
+    return String(url || "").toLowerCase();
+  }
+}
+
+// Photographers often upload the same shot to several libraries; the
+// original pixel size plus author name is a cheap hint for that.
+function imageFingerprint(item) {
+  const author = item.author && item.author.name ? item.author.name.trim().toLowerCase() : "";
+  if (!author || !item.width || !item.height) return "";
+  return `${author}|${item.width}x${item.height}`;
+}
+
+function interleaveResults(lists) {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map((list) => list.length));
+  for (let i = 0; i < longest; i += 1) {
+    lists.forEach((list) => {
+      if (i < list.length) merged.push(list[i]);
+    });
+  }
+  return merged;
+}
+
+function dedupeResults(items) {
+  const seenUrls = new Set();
+  const seenPrints = new Map();
+  return items.filter((item) => {
+    const key = imageUrlKey(item.url);
+    if (seenUrls.has(key)) return false;
+    const print = imageFingerprint(item);
+    if (print && seenPrints.has(print) && seenPrints.get(print) !== item.provider) return false;
+    seenUrls.add(key);
+    if (print && !seenPrints.has(print)) seenPrints.set(print, item.provider);
+    return true;
+  });
+}
+
+// options: { query, ratio, width, height, random, cursor }
+// Returns { results, providers, nextCursor } where providers reports, per
+// provider, "ok", "failed", "timeout", "exhausted" or "unconfigured".
+async function searchAllLibraries(options) {
+  const cursorPages = decodeLibraryCursor(options.cursor);
+  const random = Boolean(options.random) && !cursorPages;
+  const providers = {};
+  const active = [];
+
+  listImageProviders().forEach((provider) => {
+    if (!provider.isConfigured()) {
+      providers[provider.id] = { status: "unconfigured", count: 0 };
+      return;
+    }
+    if (cursorPages && !cursorPages[provider.id]) {
+      providers[provider.id] = { status: "exhausted", count: 0 };
+      return;
+    }
+    active.push(provider);
+  });
+
+  const settled = await Promise.allSettled(
+    active.map((provider) => {
+      const page = cursorPages ? Number(cursorPages[provider.id]) : 1;
+      const startedAt = Date.now();
+      const search = searchImageProvider(provider, {
+        ...options,
+        page,
+        random
+      }).then((data) => ({ ...data, ms: Date.now() - startedAt }));
+      return withTimeout(search, LIBRARY_TIMEOUT_MS, provider.label);
+    })
+  );
+
+  const lists = [];
+  const nextPages = {};
+  settled.forEach((outcome, i) => {
+    const provider = active[i];
+    if (outcome.status === "rejected") {
+      const err = outcome.reason || {};
+      providers[provider.id] = {
+        status: err.code === "ETIMEDOUT" ? "timeout" : "failed",
+        error: err.message || "Search failed",
+        count: 0
+      };
+      return;
+    }
+    const data = outcome.value;
+    providers[provider.id] = {
+      status: "ok",
+      count: data.results.length,
+      page: data.page,
+      totalPages: data.totalPages,
+      totalResults: data.totalResults,
+      query: data.query.searched,
+      translator: data.query.translator,
+      ms: data.ms
+    };
+    lists.push(data.results);
+    // As in nextPageCursor: after a random pick, page 2 of the regular search.
+    if (random && data.results.length) {
+      nextPages[provider.id] = 2;
+    } else if (data.results.length && data.page < data.totalPages) {
+      nextPages[provider.id] = data.page + 1;
+    }
+  });
+
+  const original = String(options.query || "").trim();
+  return {
+    results: dedupeResults(interleaveResults(lists)),
+    providers,
+    nextCursor: encodeLibraryCursor(nextPages),
+    query: { original, language: detectQueryLanguage(original, (options.filters || {}).locale) }
+  };
+}
+
+// =======================================================
+// 1) UNSPLASH — PAGINATION SUPPORT
+// =======================================================
+const UNSPLASH_COLORS = {
+  black_and_white: "black_and_white", black: "black", white: "white", yellow: "yellow",
+  orange: "orange", red: "red", purple: "purple", pink: "magenta", green: "green",
+  teal: "teal", blue: "blue"
+};
+
+registerImageProvider({
+  id: "unsplash",
+  label: "Unsplash",
+  keyName: "UNSPLASH_KEY",
+  isConfigured: () => Boolean(process.env.UNSPLASH_KEY),
+  orientations: { square: "squarish", landscape: "landscape", portrait: "portrait" },
+  contentTypes: ["photo"],
+  queryLanguages: ["en"],
+
+  // The random endpoint ignores color and lang, so those fall back to post-filtering.
+  filterParams(filters, { random }) {
+    let params = "";
+    const handled = ["orientation"];
+    if (filters.color && !random && UNSPLASH_COLORS[filters.color]) {
+      params += `&color=${UNSPLASH_COLORS[filters.color]}`;
+      handled.push("color");
+    }
+    if (filters.safeSearch !== undefined) {
+      params += `&content_filter=${filters.safeSearch ? "high" : "low"}`;
+    }
+    if (filters.locale && !random) {
+      params += `&lang=${filters.locale.slice(0, 2)}`;
+    }
+    return { params, handled };
+  },
+
+  async request(url) {
+    const sep = url.includes("?") ? "&" : "?";
+    const r = await fetch(`${url}${sep}client_id=${encodeURIComponent(process.env.UNSPLASH_KEY)}`);
+    const data = await r.json();
+    if (data.errors) {
+      throw new Error([].concat(data.errors).join("; ") || "Unsplash request failed");
+    }
+    return data;
+  },
+
+  async search({ query, page, ratio, width, height, filters = {} }) {
+    const orientation = providerOrientation(this, ratio, filters);
+    const { params, handled } = this.filterParams(filters, { random: false });
+    const data = await this.request(
+      `https://api.unsplash.com/search/photos?query=${encodeURIComponent(query)}` +
+        `&page=${page}` +
+        `&per_page=${LIBRARY_PER_PAGE}` +
+        (orientation ? `&orientation=${orientation}` : "") +
+        params
+    );
+    const results = (data.results || [])
+      .map((photo) => normalizeUnsplashPhoto(photo, { width, height }))
+      .filter(Boolean);
+    return {
+      results: applyPostFilters(results, filters, handled),
+      ...pageEnvelope(page, data.total)
+    };
+  },
+
+  async random({ query, ratio, width, height, filters = {} }) {
+    const orientation = providerOrientation(this, ratio, filters);
+    const { params, handled } = this.filterParams(filters, { random: true });
+    const data = await this.request(
+      `https://api.unsplash.com/photos/random?query=${encodeURIComponent(query)}` +
+        `&count=${LIBRARY_PER_PAGE}` +
+        (orientation ? `&orientation=${orientation}` : "") +
+        params
+    );
+    const results = (Array.isArray(data) ? data : [])
+      .map((photo) => normalizeUnsplashPhoto(photo, { width, height }))
+      .filter(Boolean);
+    // The random endpoint is a single page of whatever it picked.
+    return {
+      results: applyPostFilters(results, filters, handled),
+      ...pageEnvelope(1, results.length)
+    };
+  }
+});
+
+// Unsplash counts a download each time a photo is actually used. The
+// presenter posts the item's download_location here when it displays or
+// saves a photo, and we call it with our key.
+// Body: { download_location } -> { ok: true }
+function assertUnsplashDownloadLocation(value) {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch (err) {
+    throw new Error("Invalid download_location");
+  }
+  if (
+    url.protocol !== "https:" ||
+    url.host !== "api.unsplash.com" ||
+    !/^\/photos\/[\w-]+\/download\/?$/.test(url.pathname)
+  ) {
+    throw new Error("Invalid download_location");
+  }
+  url.searchParams.delete("client_id");
+  return url.toString();
+}
+
+app.post("/api/unsplash/download", async (req, res) => {
+  const provider = getImageProvider("unsplash");
+  let location;
+  try {
+    location = assertUnsplashDownloadLocation((req.body || {}).download_location);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `Missing ${provider.keyName}` });
+  }
+
+  try {
+    await provider.request(location);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Unsplash Download Error:", err);
+    res.status(500).json({ error: err.message || "Unsplash download tracking failed" });
+  }
+});
+
+// =======================================================
+// 2) PEXELS — SIMPLE SEARCH
+// =======================================================
+const PEXELS_COLORS = {
+  red: "red", orange: "orange", yellow: "yellow", green: "green", teal: "turquoise",
+  blue: "blue", purple: "violet", pink: "pink", brown: "brown", black: "black",
+  gray: "gray", white: "white"
+};
+const PEXELS_LOCALES = [
+  "en-US", "pt-BR", "es-ES", "ca-ES", "de-DE", "it-IT", "fr-FR", "sv-SE", "id-ID",
+  "pl-PL", "ja-JP", "zh-CN", "zh-TW", "ko-KR", "th-TH", "nl-NL", "hu-HU", "vi-VN",
+  "cs-CZ", "da-DK", "fi-FI", "uk-UA", "el-GR", "ro-RO", "nb-NO", "sk-SK", "tr-TR", "ru-RU"
+];
+
+function pexelsLocale(locale) {
+  if (!locale) return "";
+  return PEXELS_LOCALES.find((item) => item === locale) ||
+    PEXELS_LOCALES.find((item) => item.startsWith(locale.slice(0, 2))) ||
+    "";
+}
+
+registerImageProvider({
+  id: "pexels",
+  label: "Pexels",
+  keyName: "PEXELS_KEY",
+  isConfigured: () => Boolean(process.env.PEXELS_KEY),
+  orientations: { square: "square", landscape: "landscape", portrait: "portrait" },
+  contentTypes: ["photo"],
+  queryLanguages: ["en"],
+
+  // Pexels is curated, so there is no safe-search switch to send.
+  filterParams(filters) {
+    let params = "";
+    const handled = ["orientation"];
+    const color = filters.colorHex ? filters.colorHex.slice(1) : PEXELS_COLORS[filters.color];
+    if (color) {
+      params += `&color=${encodeURIComponent(color)}`;
+      handled.push("color");
+    }
+    const locale = pexelsLocale(filters.locale);
+    if (locale) params += `&locale=${locale}`;
+    return { params, handled };
+  },
+
+  async search({ query, page, ratio, filters = {} }) {
+    const orientation = providerOrientation(this, ratio, filters);
+    const { params, handled } = this.filterParams(filters);
+    const r = await fetch(
+      `https://api.pexels.com/v1/search?query=${encodeURIComponent(query)}` +
+        `&per_page=${LIBRARY_PER_PAGE}&page=${page}` +
+        (orientation ? `&orientation=${orientation}` : "") +
+        params,
+      {
+        headers: { Authorization: process.env.PEXELS_KEY }
       }
-    },
-    {
-      type: "function",
-      name: "refine_image",
-      description: "Refine a single image with Flux Kontext.",
-      parameters: {
-        type: "object",
-        properties: {
-          prompt: { type: "string" },
-          input_image: { type: "string" }
-        },
-        required: ["prompt", "input_image"]
+    );
+    if (!r.ok) {
+      const text = await r.text();
+      throw new Error(`Pexels ${r.status}: ${text}`);
+    }
+    const data = await r.json();
+    const results = (data.photos || []).map(normalizePexelsPhoto).filter(Boolean);
+    return {
+      results: applyPostFilters(results, filters, handled),
+      ...pageEnvelope(page, data.total_results)
+    };
+  },
+
+  random(options) {
+    return randomPageSearch(this, options);
+  },
+
+  // Same orientation mapping as photos; sizes and locale are native too.
+  async searchVideos({ query, page, ratio, width, filters = {} }) {
+    const orientation = providerOrientation(this, ratio, filters);
+    const locale = pexelsLocale(filters.locale);
+    const r = await fetch(
+      `https://api.pexels.com/videos/search?query=${encodeURIComponent(query)}` +
+        `&per_page=${LIBRARY_PER_PAGE}&page=${page}` +
+        (orientation ? `&orientation=${orientation}` : "") +
+        (filters.minWidth ? `&min_width=${filters.minWidth}` : "") +
+        (filters.minHeight ? `&min_height=${filters.minHeight}` : "") +
+        (locale ? `&locale=${locale}` : ""),
+      {
+        headers: { Authorization: process.env.PEXELS_KEY }
       }
+    );
+    if (!r.ok) {
+      const text = await r.text();
+      throw new Error(`Pexels ${r.status}: ${text}`);
     }
-  ];
+    const data = await r.json();
+    const results = (data.videos || [])
+      .map((video) => normalizePexelsVideo(video, { width }))
+      .filter(Boolean);
+    return {
+      results: applyPostFilters(results, filters, ["orientation", "minWidth", "minHeight"]),
+      ...pageEnvelope(page, data.total_results)
+    };
+  }
+});
 
-  const system = [
-    "You are VISTA Agent. You can chat normally or call a tool.",
-    "Use tools only when user intent requires system action.",
-    "If required parameters are missing, ask a brief question instead of calling tools.",
-    "Do not ask the user which image library to use; choose automatically (default to Unsplash).",
-    "If state includes preferred_ratio, use it when ratio/aspect_ratio is missing.",
-    "Use set_view to switch between weather and gallery, and refresh_weather to update weather.",
-    "If the user asks for historical weather (e.g., yesterday, last week, or a specific date), call get_weather_history instead of refresh_weather.",
-    "After tools run, always produce a natural language reply summarizing results.",
-    "Never claim you executed a tool unless you actually called it.",
-    "Prefer a single tool call when possible."
-  ].join(" ");
+// =======================================================
+// 3) PIXABAY — SIMPLE SEARCH
+// =======================================================
+const PIXABAY_COLORS = {
+  black_and_white: "grayscale", black: "black", white: "white", gray: "gray", red: "red",
+  orange: "orange", yellow: "yellow", green: "green", teal: "turquoise", blue: "blue",
+  purple: "lilac", pink: "pink", brown: "brown"
+};
+const PIXABAY_LANGS = [
+  "cs", "da", "de", "en", "es", "fr", "id", "it", "hu", "nl", "no", "pl", "pt", "ro",
+  "sk", "fi", "sv", "tr", "vi", "th", "bg", "ru", "el", "ja", "ko", "zh"
+];
+
+async function pixabayRequest(url) {
+  const r = await fetch(url);
+  const text = await r.text();
+  let data = {};
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    // Pixabay answers plain-text errors such as "[ERROR 400] ..."
+    throw new Error(text || "Pixabay request failed");
+  }
+  if (!r.ok || data.error) {
+    throw new Error(data.error || "Pixabay request failed");
+  }
+  return data;
+}
 
-  const userContext = [
-    summary ? `Conversation summary: ${summary}` : null,
-    state ? `Global state: ${JSON.stringify(state)}` : null,
-    `User message: ${message}`
-  ].filter(Boolean).join("\n");
+registerImageProvider({
+  id: "pixabay",
+  label: "Pixabay",
+  keyName: "PIXABAY_KEY",
+  isConfigured: () => Boolean(process.env.PIXABAY_KEY),
+  orientations: { square: "", landscape: "horizontal", portrait: "vertical" },
+  contentTypes: ["photo", "illustration", "vector"],
+  // Pixabay translates lang= queries itself, so keep them in their own language.
+  queryLanguages: ["en"].concat(PIXABAY_LANGS.filter((lang) => lang !== "en")),
+
+  filterParams(filters) {
+    let params = `&image_type=${filters.contentType || "photo"}`;
+    const handled = ["color", "minWidth", "minHeight"];
+    if (filters.orientation !== "square") handled.push("orientation");
+    if (PIXABAY_COLORS[filters.color]) params += `&colors=${PIXABAY_COLORS[filters.color]}`;
+    if (filters.minWidth) params += `&min_width=${filters.minWidth}`;
+    if (filters.minHeight) params += `&min_height=${filters.minHeight}`;
+    if (filters.safeSearch !== undefined) params += `&safesearch=${filters.safeSearch}`;
+    const lang = filters.locale && filters.locale.slice(0, 2);
+    if (lang && PIXABAY_LANGS.includes(lang)) params += `&lang=${lang}`;
+    return { params, handled };
+  },
+
+  async search({ query, page, ratio, filters = {} }) {
+    const orientation = providerOrientation(this, ratio, filters);
+    const { params, handled } = this.filterParams(filters);
+    const url =
+      `https://pixabay.com/api/?key=${encodeURIComponent(process.env.PIXABAY_KEY)}` +
+      `&q=${encodeURIComponent(query)}` +
+      `&per_page=${LIBRARY_PER_PAGE}` +
+      `&page=${page}` +
+      (orientation ? `&orientation=${orientation}` : "") +
+      params;
+    const data = await pixabayRequest(url);
+    // totalHits is what the API will actually page through (capped at 500).
+    const results = Array.isArray(data.hits) ? data.hits.map(normalizePixabayHit).filter(Boolean) : [];
+    return {
+      results: applyPostFilters(results, filters, handled),
+      ...pageEnvelope(page, data.totalHits)
+    };
+  },
+
+  random(options) {
+    return randomPageSearch(this, options);
+  },
+
+  // The video API has no orientation parameter, so the ratio's orientation
+  // is applied to the returned dimensions instead.
+  async searchVideos({ query, page, ratio, width, filters = {} }) {
+    const lang = filters.locale && filters.locale.slice(0, 2);
+    const url =
+      `https://pixabay.com/api/videos/?key=${encodeURIComponent(process.env.PIXABAY_KEY)}` +
+      `&q=${encodeURIComponent(query)}` +
+      `&per_page=${LIBRARY_PER_PAGE}` +
+      `&page=${page}` +
+      (filters.minWidth ? `&min_width=${filters.minWidth}` : "") +
+      (filters.minHeight ? `&min_height=${filters.minHeight}` : "") +
+      (filters.safeSearch !== undefined ? `&safesearch=${filters.safeSearch}` : "") +
+      (lang && PIXABAY_LANGS.includes(lang) ? `&lang=${lang}` : "");
+    const data = await pixabayRequest(url);
+    const results = Array.isArray(data.hits)
+      ? data.hits.map((hit) => normalizePixabayVideo(hit, { width })).filter(Boolean)
+      : [];
+    const orientation = filters.orientation || ratioOrientation(ratio) || undefined;
+    return {
+      results: applyPostFilters(results, { ...filters, orientation }, ["minWidth", "minHeight"]),
+      ...pageEnvelope(page, data.totalHits)
+    };
+  }
+});
+
+// =======================================================
+// LIBRARY ROUTES — /api/unsplash, /api/pexels, /api/pixabay, /api/<id>/videos, ...
+// =======================================================
+// Filters plus the page to fetch, from ?page= or this provider's slot in ?cursor=.
+function libraryRequestPage(provider, query) {
+  const filters = libraryFiltersFromQuery(query);
+  let page = Math.max(1, Math.floor(Number(query.page || 1)) || 1);
+  const cursorPages = decodeLibraryCursor(query.cursor);
+  if (cursorPages) {
+    if (!cursorPages[provider.id]) throw new Error("Invalid cursor");
+    page = cursorPages[provider.id];
+  }
+  return { filters, page };
+}
+
+// ?q= &page= (or &cursor=) &random=1 &ratio= &w= &h= plus the LIBRARY FILTERS params.
+// Every provider answers with the same envelope:
+// { images, results, page, perPage, totalResults, totalPages, nextCursor,
+//   query: { original, language, searched, translator } }
+async function handleLibraryRoute(provider, req, res) {
+  const q = req.query.q;
+  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `Missing ${provider.keyName}` });
+  }
 
+  let filters;
+  let page;
   try {
-    const first = await callOpenAIResponses({
-      input: [
-        { role: "system", content: system },
-        { role: "user", content: userContext }
-      ],
-      tools
+    ({ filters, page } = libraryRequestPage(provider, req.query));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const random = req.query.random === "1" || req.query.random === "true";
+  try {
+    const data = await searchImageProvider(provider, {
+      query: q,
+      filters,
+      page,
+      random,
+      ratio: req.query.ratio || "",
+      width: Number(req.query.w || 0),
+      height: Number(req.query.h || 0)
+    });
+    res.json({
+      images: data.results.map((item) => item.url),
+      results: data.results,
+      page: data.page,
+      perPage: data.perPage,
+      totalResults: data.totalResults,
+      totalPages: data.totalPages,
+      nextCursor: nextPageCursor(provider, data, random),
+      query: data.query
     });
+  } catch (err) {
+    console.error(`${provider.label} Error:`, err);
+    res.status(500).json({ error: err.message || `${provider.label} proxy failed` });
+  }
+}
 
-    const toolCalls = extractToolCalls(first);
-    const replyText = extractOutputText(first);
+// ?q= &page= (or &cursor=) &ratio= &w= plus min_width, min_height, safe_search,
+// locale and orientation. Same envelope, with normalized videos in results.
+async function handleVideoRoute(provider, req, res) {
+  const q = req.query.q;
+  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `Missing ${provider.keyName}` });
+  }
 
-    if (!toolCalls.length) {
-      const inferred = inferToolFromText(message, state || {});
-      if (inferred && inferred.reply) {
-        return res.json({
-          tools: [],
-          reply: inferred.reply
-        });
-      }
-      if (inferred && Array.isArray(inferred.tools) && inferred.tools.length) {
-        const toolResults = [];
-        for (const tool of inferred.tools) {
-          const result = await executeToolCall({
-            name: tool.name,
-            arguments: JSON.stringify(tool.args || {})
-          });
-          toolResults.push({
-            name: tool.name,
-            args: tool.args || {},
-            result
-          });
-        }
-        const fallbackReply = (() => {
-          const firstTool = toolResults[0];
-          if (!firstTool) return "";
-          if (firstTool.name === "get_weather_history") {
-            const r = firstTool.result || {};
-            if (r && r.city && r.date) {
-              const max = r.temperature_max != null ? `${r.temperature_max}°C` : "—";
-              const min = r.temperature_min != null ? `${r.temperature_min}°C` : "—";
-              const rain = r.precipitation_sum != null ? `${r.precipitation_sum}mm` : "—";
-              const wind = r.windspeed_max != null ? `${r.windspeed_max} m/s` : "—";
-              return `${r.city} ${r.date}: high ${max}, low ${min}, rain ${rain}, wind ${wind}.`;
-            }
-          }
-          if (firstTool.name === "search_library") {
-            const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
-            return count ? `Found ${count} images.` : "Search completed.";
-          }
-          if (firstTool.name === "generate_ai") {
-            const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
-            return count ? `Generated ${count} images.` : "Generation completed.";
-          }
-          return "Done.";
-        })();
-        return res.json({
-          tools: toolResults,
-          reply: fallbackReply || "Done."
-        });
-      }
-      return res.json({
-        tools: [],
-        reply: replyText || "Got it. What would you like to do next?"
-      });
+  let filters;
+  let page;
+  try {
+    ({ filters, page } = libraryRequestPage(provider, req.query));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const data = await searchVideoProvider(provider, {
+      query: q,
+      filters,
+      page,
+      ratio: req.query.ratio || "",
+      width: Number(req.query.w || 0)
+    });
+    res.json({
+      videos: data.results.map((item) => item.url),
+      results: data.results,
+      page: data.page,
+      perPage: data.perPage,
+      totalResults: data.totalResults,
+      totalPages: data.totalPages,
+      nextCursor: nextPageCursor(provider, data),
+      query: data.query
+    });
+  } catch (err) {
+    console.error(`${provider.label} Video Error:`, err);
+    res.status(500).json({ error: err.message || `${provider.label} video search failed` });
+  }
+}
+
+listImageProviders().forEach((provider) => {
+  app.get(`/api/${provider.id}`, (req, res) => handleLibraryRoute(provider, req, res));
+});
+
+listVideoProviders().forEach((provider) => {
+  app.get(`/api/${provider.id}/videos`, (req, res) => handleVideoRoute(provider, req, res));
+});
+
+// All configured providers at once: ?q= &cursor= &random=1 &ratio= &w= &h= + filters
+app.get("/api/multi", async (req, res) => {
+  const q = req.query.q;
+  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+
+  let filters;
+  try {
+    filters = libraryFiltersFromQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const data = await searchAllLibraries({
+      query: q,
+      filters,
+      cursor: req.query.cursor || "",
+      random: req.query.random === "1" || req.query.random === "true",
+      ratio: req.query.ratio || "",
+      width: Number(req.query.w || 0),
+      height: Number(req.query.h || 0)
+    });
+    const pages = Object.values(data.providers).filter((item) => item.status === "ok");
+    res.json({
+      images: data.results.map((item) => item.url),
+      results: data.results,
+      page: Math.max(1, ...pages.map((item) => item.page)),
+      perPage: LIBRARY_PER_PAGE * Math.max(1, pages.length),
+      totalResults: pages.reduce((sum, item) => sum + item.totalResults, 0),
+      totalPages: Math.max(1, ...pages.map((item) => item.totalPages)),
+      nextCursor: data.nextCursor,
+      query: data.query,
+      providers: data.providers
+    });
+  } catch (err) {
+    if (err.message === "Invalid cursor") return res.status(400).json({ error: err.message });
+    console.error("Multi Search Error:", err);
+    res.status(500).json({ error: "Multi search failed" });
+  }
+});
+
+
+// =======================================================
+// 4) WEATHER — CURRENT CONDITIONS
+// =======================================================
+// Current weather by ?city= or ?lat=&lon=, &units=metric|imperial.
+// Providers are tried in WEATHER_PROVIDERS order (default
+// "openweather,open-meteo"); one without its key, or one that errors,
+// falls through to the next. Every provider answers with the same shape:
+// { provider, units, city, country, lat, lon, temp, feels_like, description,
+//   main, icon, humidity, wind, dt, timezone, fallbacks: [{ provider, error }] }
+// wind is m/s for metric and mph for imperial; timezone is the UTC offset in
+// seconds; icon is an OpenWeather icon code.
+const WEATHER_PROVIDERS = process.env.WEATHER_PROVIDERS || "openweather,open-meteo";
+const WEATHER_UNITS = ["metric", "imperial"];
+
+const weatherProviders = new Map();
+
+function registerWeatherProvider(provider) {
+  weatherProviders.set(provider.id, provider);
+  return provider;
+}
+
+// WMO main condition -> OpenWeather icon number, for clients that draw those icons.
+const WEATHER_ICONS = {
+  Clear: "01", Clouds: "03", Fog: "50", Drizzle: "09", Rain: "10", Snow: "13", Thunderstorm: "11"
+};
+
+function weatherCodeIcon(code, isDay) {
+  let icon = WEATHER_ICONS[describeWeatherCode(code).main] || "03";
+  if (code === 1) icon = "02";
+  if (code === 3) icon = "04";
+  if (code >= 80 && code <= 82) icon = "09";
+  return `${icon}${isDay ? "d" : "n"}`;
+}
+
+registerWeatherProvider({
+  id: "openweather",
+  label: "OpenWeather",
+  keyName: "WEATHER_API_KEY",
+  isConfigured: () => Boolean(process.env.WEATHER_API_KEY),
+
+  async current({ city, lat, lon, units }) {
+    const where = Number.isFinite(lat) && Number.isFinite(lon)
+      ? `lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`
+      : `q=${encodeURIComponent(city)}`;
+    const url = `https://api.openweathermap.org/data/2.5/weather` +
+      `?${where}` +
+      `&units=${units}` +
+      `&appid=${encodeURIComponent(process.env.WEATHER_API_KEY)}`;
+
+    const r = await fetch(url);
+    const data = await r.json();
+    if (!r.ok) {
+      throw new Error(r.status === 404 ? "City not found" : data.message || "Weather request failed");
     }
 
-    const toolResults = [];
-    const toolOutputs = [];
-    for (const call of toolCalls) {
-      const callId = call.id || call.call_id;
-      const toolArgsRaw = call.arguments || call.arguments_json || "{}";
-      let toolArgs = {};
-      if (typeof toolArgsRaw === "string") {
-        try {
-          toolArgs = JSON.parse(toolArgsRaw);
-        } catch (err) {
-          toolArgs = {};
-        }
-      } else if (toolArgsRaw && typeof toolArgsRaw === "object") {
-        toolArgs = toolArgsRaw;
-      }
-      const toolName = call.name || (call.function && call.function.name) || "";
-      if (toolName === "refine_image") {
-        const needsImage = !toolArgs.input_image || /^(current|current image|current one)$/i.test(String(toolArgs.input_image || "").trim());
-        if (needsImage && state && state.current_image) {
-          toolArgs.input_image = state.current_image;
-          call.arguments = JSON.stringify(toolArgs);
-        }
-      }
-      const result = await executeToolCall(call);
-      toolResults.push({
-        name: toolName,
-        args: toolArgs,
-        result
-      });
-      if (callId) {
-        toolOutputs.push({
-          tool_call_id: callId,
-          output: JSON.stringify(result)
-        });
-      }
+    const info = data.weather && data.weather[0] ? data.weather[0] : {};
+    return {
+      city: data.name,
+      country: data.sys && data.sys.country ? data.sys.country : "",
+      lat: data.coord ? data.coord.lat : lat,
+      lon: data.coord ? data.coord.lon : lon,
+      temp: data.main ? data.main.temp : null,
+      feels_like: data.main && data.main.feels_like != null ? data.main.feels_like : null,
+      description: info.description || "",
+      main: info.main || "",
+      icon: info.icon || "",
+      humidity: data.main ? data.main.humidity : null,
+      wind: data.wind ? data.wind.speed : null,
+      dt: data.dt,
+      timezone: data.timezone
+    };
+  }
+});
+
+registerWeatherProvider({
+  id: "open-meteo",
+  label: "Open-Meteo",
+  keyName: "",
+  isConfigured: () => true,
+
+  async current({ city, lat, lon, units }) {
+    const place = await resolveWeatherPlace({ city, lat, lon });
+    const imperial = units === "imperial";
+    const url =
+      `https://api.open-meteo.com/v1/forecast` +
+      `?latitude=${encodeURIComponent(place.latitude)}` +
+      `&longitude=${encodeURIComponent(place.longitude)}` +
+      `&current=temperature_2m,apparent_temperature,relative_humidity_2m,wind_speed_10m,weather_code,is_day` +
+      `&temperature_unit=${imperial ? "fahrenheit" : "celsius"}` +
+      `&wind_speed_unit=${imperial ? "mph" : "ms"}` +
+      `&timezone=auto`;
+    const r = await fetch(url);
+    const data = await r.json();
+    if (!r.ok || !data || !data.current) {
+      throw new Error((data && data.reason) || "Weather request failed");
     }
 
-    let secondReply = "";
-    try {
-      const followupInput = toolOutputs.map((toolOutput) => ({
-        type: "function_call_output",
-        call_id: toolOutput.tool_call_id,
-        output: toolOutput.output
-      }));
-      followupInput.push({
-        role: "user",
-        content: "Summarize the tool results in a helpful reply."
-      });
+    const now = data.current;
+    const offset = data.utc_offset_seconds || 0;
+    const condition = describeWeatherCode(now.weather_code);
+    return {
+      city: place.name,
+      country: place.country,
+      lat: place.latitude,
+      lon: place.longitude,
+      temp: now.temperature_2m,
+      feels_like: now.apparent_temperature != null ? now.apparent_temperature : null,
+      description: condition.description,
+      main: condition.main,
+      icon: weatherCodeIcon(now.weather_code, now.is_day),
+      humidity: now.relative_humidity_2m != null ? now.relative_humidity_2m : null,
+      wind: now.wind_speed_10m != null ? now.wind_speed_10m : null,
+      // current.time is local wall time without an offset.
+      dt: now.time ? Math.round(Date.parse(`${now.time}Z`) / 1000) - offset : Math.round(Date.now() / 1000),
+      timezone: offset
+    };
+  }
+});
+
+// -> the unified shape above; throws the last provider error when all fail.
+async function fetchCurrentWeather({ city, lat, lon, units = "metric" }) {
+  const latitude = lat === undefined || lat === "" ? NaN : Number(lat);
+  const longitude = lon === undefined || lon === "" ? NaN : Number(lon);
+  const hasCoords = Number.isFinite(latitude) && Number.isFinite(longitude);
+  if (!hasCoords && !city) throw new Error("Missing city or lat/lon");
+  if (!WEATHER_UNITS.includes(units)) {
+    throw new Error(`Invalid units, use one of: ${WEATHER_UNITS.join(", ")}`);
+  }
 
-      const second = await callOpenAIResponses({
-        input: followupInput,
-        tools,
-        previous_response_id: first.id
+  const fallbacks = [];
+  let lastError = null;
+  const order = WEATHER_PROVIDERS.split(",").map((id) => id.trim()).filter(Boolean);
+  for (const id of order) {
+    const provider = weatherProviders.get(id);
+    if (!provider) continue;
+    if (!provider.isConfigured()) {
+      fallbacks.push({ provider: id, error: `Missing ${provider.keyName}` });
+      continue;
+    }
+    try {
+      const data = await provider.current({
+        city,
+        lat: hasCoords ? latitude : undefined,
+        lon: hasCoords ? longitude : undefined,
+        units
       });
-      secondReply = extractOutputText(second);
+      return { provider: id, units, ...data, fallbacks };
     } catch (err) {
-      console.error("Agent follow-up error:", err);
+      console.error(`${provider.label} weather failed:`, err.message);
+      fallbacks.push({ provider: id, error: err.message });
+      lastError = err;
     }
+  }
+  throw lastError || new Error("No weather provider available");
+}
 
-    const fallbackReply = (() => {
-      if (!toolResults.length) return "";
-      const firstTool = toolResults[0];
-      if (firstTool.name === "get_weather_history") {
-        const r = firstTool.result || {};
-        if (r && r.city && r.date) {
-          const max = r.temperature_max != null ? `${r.temperature_max}°C` : "—";
-          const min = r.temperature_min != null ? `${r.temperature_min}°C` : "—";
-          const rain = r.precipitation_sum != null ? `${r.precipitation_sum}mm` : "—";
-          const wind = r.windspeed_max != null ? `${r.windspeed_max} m/s` : "—";
-          return `${r.city} ${r.date}: high ${max}, low ${min}, rain ${rain}, wind ${wind}.`;
-        }
-      }
-      if (firstTool.name === "refresh_weather") {
-        return "I have updated the weather data. Do you want today or the past 7 days?";
-      }
-      if (firstTool.name === "set_view") {
-        return "View updated.";
-      }
-      if (firstTool.name === "search_library") {
-        const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
-        return count ? `Found ${count} images.` : "Search completed.";
-      }
-      if (firstTool.name === "generate_ai") {
-        const count = Array.isArray(firstTool.result?.images) ? firstTool.result.images.length : 0;
-        return count ? `Generated ${count} images.` : "Generation completed.";
-      }
-      if (firstTool.name === "refine_image") {
-        return "Refine completed.";
-      }
-      return "Done.";
-    })();
+app.get("/api/weather", async (req, res) => {
+  const { city, lat, lon } = req.query;
 
-    return res.json({
-      tools: toolResults,
-      reply: secondReply || replyText || fallbackReply || "Got it. What would you like to do next?"
-    });
+  try {
+    res.json(await fetchCurrentWeather({ city, lat, lon, units: req.query.units || "metric" }));
   } catch (err) {
-    console.error("Agent Error:", err);
-    res.status(500).json({ error: err.message || "Agent failed" });
+    if (/^(Missing city|Invalid units)/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.message === "City not found") return res.status(404).json({ error: err.message });
+    console.error("Weather Error:", err);
+    res.status(500).json({ error: err.message || "Weather proxy failed" });
   }
 });
 
+
 // =======================================================
-// 1) UNSPLASH — PAGINATION SUPPORT
+// WEATHER — OPEN-METEO FORECAST
 // =======================================================
-app.get("/api/unsplash", async (req, res) => {
-  const q = req.query.q;
-  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+// Keyless forecast: up to 7 days of daily rows and up to 168 hours of
+// hourly rows, for lat/lon or a city name. Daily rows use the same field
+// names as get_weather_history, plus the chance of rain and the condition.
+const OPEN_METEO_DAILY = "temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max";
+const FORECAST_MAX_DAYS = 7;
+const FORECAST_MAX_HOURS = 168;
+
+// WMO weather codes -> OpenWeather-style main condition and a description.
+const WMO_WEATHER_CODES = {
+  0: ["Clear", "clear sky"],
+  1: ["Clear", "mainly clear"],
+  2: ["Clouds", "partly cloudy"],
+  3: ["Clouds", "overcast"],
+  45: ["Fog", "fog"],
+  48: ["Fog", "depositing rime fog"],
+  51: ["Drizzle", "light drizzle"],
+  53: ["Drizzle", "drizzle"],
+  55: ["Drizzle", "dense drizzle"],
+  56: ["Drizzle", "freezing drizzle"],
+  57: ["Drizzle", "dense freezing drizzle"],
+  61: ["Rain", "light rain"],
+  63: ["Rain", "rain"],
+  65: ["Rain", "heavy rain"],
+  66: ["Rain", "freezing rain"],
+  67: ["Rain", "heavy freezing rain"],
+  71: ["Snow", "light snow"],
+  73: ["Snow", "snow"],
+  75: ["Snow", "heavy snow"],
+  77: ["Snow", "snow grains"],
+  80: ["Rain", "light showers"],
+  81: ["Rain", "showers"],
+  82: ["Rain", "violent showers"],
+  85: ["Snow", "snow showers"],
+  86: ["Snow", "heavy snow showers"],
+  95: ["Thunderstorm", "thunderstorm"],
+  96: ["Thunderstorm", "thunderstorm with hail"],
+  99: ["Thunderstorm", "thunderstorm with heavy hail"]
+};
+
+function describeWeatherCode(code) {
+  const entry = WMO_WEATHER_CODES[code];
+  return entry ? { main: entry[0], description: entry[1] } : { main: "", description: "" };
+}
 
-  const page = Number(req.query.page || 1);
-  const perPage = 30;
-  const random = req.query.random === "1" || req.query.random === "true";
-  const ratio = req.query.ratio || "";
-  const width = Number(req.query.w || 0);
-  const height = Number(req.query.h || 0);
-  const orientation = ratio.startsWith("1:1")
-    ? "squarish"
-    : (ratio === "4:3" || ratio === "16:9")
-      ? "landscape"
-      : (ratio === "3:4" || ratio === "9:16")
-        ? "portrait"
-        : "";
+// -> { name, country, latitude, longitude, timezone }
+async function geocodeCity(city) {
+  const geoUrl =
+    `https://geocoding-api.open-meteo.com/v1/search` +
+    `?name=${encodeURIComponent(city)}` +
+    `&count=1&language=en&format=json`;
+  const geoRes = await fetch(geoUrl);
+  const geoData = await geoRes.json();
+  if (!geoRes.ok || !geoData || !geoData.results || !geoData.results.length) {
+    throw new Error("City not found");
+  }
+  const place = geoData.results[0];
+  return {
+    name: place.name,
+    country: place.country || "",
+    latitude: place.latitude,
+    longitude: place.longitude,
+    timezone: place.timezone || ""
+  };
+}
 
-  try {
-    const orientationParam = orientation ? `&orientation=${orientation}` : "";
-    const url = random
-      ? `https://api.unsplash.com/photos/random?query=${encodeURIComponent(q)}` +
-        `&count=${perPage}` +
-        `${orientationParam}` +
-        `&client_id=${process.env.UNSPLASH_KEY}`
-      : `https://api.unsplash.com/search/photos?query=${encodeURIComponent(q)}` +
-        `&page=${page}` +
-        `&per_page=${perPage}` +
-        `${orientationParam}` +
-        `&client_id=${process.env.UNSPLASH_KEY}`;
+// A city name, or lat/lon (which win when both are given).
+async function resolveWeatherPlace({ city, lat, lon }) {
+  const latitude = lat === undefined || lat === "" ? NaN : Number(lat);
+  const longitude = lon === undefined || lon === "" ? NaN : Number(lon);
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    return { name: city || "", country: "", latitude, longitude, timezone: "" };
+  }
+  if (city) return geocodeCity(city);
+  throw new Error("Missing city or lat/lon");
+}
 
-    const r = await fetch(url);
-    const data = await r.json();
+// Open-Meteo column arrays -> one object per day, history field names.
+function dailyWeatherRows(daily) {
+  const column = (name, i) => (daily[name] ? daily[name][i] : null);
+  return (daily.time || []).map((date, i) => {
+    const row = {
+      date,
+      temperature_max: column("temperature_2m_max", i),
+      temperature_min: column("temperature_2m_min", i),
+      precipitation_sum: column("precipitation_sum", i),
+      windspeed_max: column("windspeed_10m_max", i)
+    };
+    if (daily.precipitation_probability_max) {
+      row.precipitation_probability_max = column("precipitation_probability_max", i);
+    }
+    if (daily.weathercode) {
+      row.weathercode = column("weathercode", i);
+      row.description = describeWeatherCode(row.weathercode).description;
+    }
+    return row;
+  });
+}
 
-    if (data.errors)
-      return res.status(500).json({ error: data.errors });
+function hourlyWeatherRows(hourly) {
+  const column = (name, i) => (hourly[name] ? hourly[name][i] : null);
+  return (hourly.time || []).map((time, i) => {
+    const weathercode = column("weathercode", i);
+    return {
+      time,
+      temperature: column("temperature_2m", i),
+      precipitation: column("precipitation", i),
+      precipitation_probability: column("precipitation_probability", i),
+      windspeed: column("windspeed_10m", i),
+      weathercode,
+      description: describeWeatherCode(weathercode).description
+    };
+  });
+}
 
-    const results = Array.isArray(data) ? data : (data.results || []);
-    const images = results.map((x) => {
-      if (!x || !x.urls) return null;
-      if (width > 0 && x.urls.raw) {
-        const hParam = height > 0 ? `&h=${height}` : "";
-        return `${x.urls.raw}&w=${width}${hParam}&auto=format&fit=crop`;
-      }
-      return x.urls.regular;
-    }).filter(Boolean);
+// -> { city, country, latitude, longitude, timezone, daily: [...], hourly: [...] }
+async function fetchWeatherForecast({ city, lat, lon, days, hours }) {
+  const place = await resolveWeatherPlace({ city, lat, lon });
+  const dayCount = Math.min(FORECAST_MAX_DAYS, Math.max(1, Math.floor(Number(days)) || FORECAST_MAX_DAYS));
+  const hourCount = Math.min(FORECAST_MAX_HOURS, Math.max(0, Math.floor(Number(hours)) || 0));
+  const url =
+    `https://api.open-meteo.com/v1/forecast` +
+    `?latitude=${encodeURIComponent(place.latitude)}` +
+    `&longitude=${encodeURIComponent(place.longitude)}` +
+    `&daily=${OPEN_METEO_DAILY},precipitation_probability_max,weathercode` +
+    `&forecast_days=${dayCount}` +
+    (hourCount
+      ? `&hourly=temperature_2m,precipitation,precipitation_probability,windspeed_10m,weathercode` +
+        `&forecast_hours=${hourCount}`
+      : "") +
+    `&timezone=auto`;
+  const r = await fetch(url);
+  const data = await r.json();
+  if (!r.ok || !data || !data.daily) {
+    throw new Error((data && data.reason) || "Weather forecast failed");
+  }
+  return {
+    city: place.name,
+    country: place.country,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    timezone: data.timezone || place.timezone,
+    daily: dailyWeatherRows(data.daily),
+    hourly: data.hourly ? hourlyWeatherRows(data.hourly) : []
+  };
+}
 
-    res.json({
-      images,
-      page: random ? 1 : page,
-      totalPages: random ? 1 : (data.total_pages || 1)
-    });
+// ?city= or ?lat=&lon=, &days=1..7 (default 7), &hours=0..168 (default 24)
+app.get("/api/forecast", async (req, res) => {
+  const { city, lat, lon } = req.query;
+  if (!city && (lat === undefined || lon === undefined)) {
+    return res.status(400).json({ error: "Missing ?city= or ?lat=&lon=" });
+  }
 
+  try {
+    const data = await fetchWeatherForecast({
+      city,
+      lat,
+      lon,
+      days: req.query.days,
+      hours: req.query.hours === undefined ? 24 : req.query.hours
+    });
+    res.json(data);
   } catch (err) {
-    console.error("Unsplash Error:", err);
-    res.status(500).json({ error: "Unsplash proxy failed" });
+    if (err.message === "Missing city or lat/lon") return res.status(400).json({ error: err.message });
+    if (err.message === "City not found") return res.status(404).json({ error: err.message });
+    console.error("Forecast Error:", err);
+    res.status(500).json({ error: err.message || "Weather forecast failed" });
   }
 });
 
-
 // =======================================================
-// 2) PEXELS — SIMPLE SEARCH
+// WEATHER — OPEN-METEO HISTORY
 // =======================================================
-app.get("/api/pexels", async (req, res) => {
-  const q = req.query.q;
-  if (!q) return res.status(400).json({ error: "Missing ?q=" });
-  const random = req.query.random === "1" || req.query.random === "true";
-  const page = Number(req.query.page || 1);
-  const pickPage = random ? Math.floor(Math.random() * 50) + 1 : page;
-  const ratio = req.query.ratio || "";
-  const orientation = ratio.startsWith("1:1")
-    ? "square"
-    : (ratio === "4:3" || ratio === "16:9")
-      ? "landscape"
-      : (ratio === "3:4" || ratio === "9:16")
-        ? "portrait"
-        : "";
+// Daily archive rows for a date or a start/end range, plus summary stats.
+// A day counts as rainy from RAINY_DAY_MM of precipitation.
+const WEATHER_HISTORY_MAX_DAYS = Number(process.env.WEATHER_HISTORY_MAX_DAYS) || 366;
+const RAINY_DAY_MM = 1;
+
+function parseDateParam(value, label) {
+  const text = String(value || "").slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw new Error(`Invalid ${label}, use YYYY-MM-DD`);
+  }
+  return text;
+}
 
-  try {
-    const orientationParam = orientation ? `&orientation=${orientation}` : "";
-    const r = await fetch(
-      `https://api.pexels.com/v1/search?query=${encodeURIComponent(q)}&per_page=30&page=${pickPage}${orientationParam}`,
-      {
-        headers: { Authorization: process.env.PEXELS_KEY }
-      }
-    );
+// { date } or { start_date, end_date } -> { start, end }
+function parseHistoryRange({ date, start_date, end_date }) {
+  if (!date && !start_date) throw new Error("Missing date or start_date");
+  const start = parseDateParam(start_date || date, start_date ? "start_date" : "date");
+  const end = end_date ? parseDateParam(end_date, "end_date") : start;
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000 + 1;
+  if (days < 1) throw new Error("end_date is before start_date");
+  if (days > WEATHER_HISTORY_MAX_DAYS) {
+    throw new Error(`Range is longer than ${WEATHER_HISTORY_MAX_DAYS} days`);
+  }
+  return { start, end };
+}
 
-    if (!r.ok) {
-      const text = await r.text();
-      return res.status(500).json({ error: `Pexels ${r.status}: ${text}` });
-    }
+function roundTo(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
 
-    let data = await r.json();
-    let images = data.photos?.map(p => p.src.large) || [];
+// Days with missing values are left out of the stats they lack.
+function summarizeWeatherDays(rows) {
+  const numbers = (name) => rows.map((row) => row[name]).filter((v) => typeof v === "number");
+  const highs = numbers("temperature_max");
+  const lows = numbers("temperature_min");
+  const rain = numbers("precipitation_sum");
+  const means = rows
+    .filter((row) => typeof row.temperature_max === "number" && typeof row.temperature_min === "number")
+    .map((row) => (row.temperature_max + row.temperature_min) / 2);
+  const windiest = rows
+    .filter((row) => typeof row.windspeed_max === "number")
+    .reduce((best, row) => (!best || row.windspeed_max > best.windspeed_max ? row : best), null);
+  return {
+    days: rows.length,
+    temperature_mean: means.length ? roundTo(means.reduce((a, b) => a + b, 0) / means.length) : null,
+    temperature_max: highs.length ? Math.max(...highs) : null,
+    temperature_min: lows.length ? Math.min(...lows) : null,
+    precipitation_total: rain.length ? roundTo(rain.reduce((a, b) => a + b, 0)) : null,
+    rainy_days: rain.filter((mm) => mm >= RAINY_DAY_MM).length,
+    windiest_day: windiest ? { date: windiest.date, windspeed_max: windiest.windspeed_max } : null
+  };
+}
 
-    if (random && images.length === 0) {
-      const retry = await fetch(
-        `https://api.pexels.com/v1/search?query=${encodeURIComponent(q)}&per_page=30&page=1${orientationParam}`,
-        {
-          headers: { Authorization: process.env.PEXELS_KEY }
-        }
-      );
-      if (!retry.ok) {
-        const text = await retry.text();
-        return res.status(500).json({ error: `Pexels ${retry.status}: ${text}` });
-      }
-      data = await retry.json();
-      images = data.photos?.map(p => p.src.large) || [];
+// -> { city, country, latitude, longitude, timezone, start_date, end_date, daily, summary }
+async function fetchWeatherHistory({ city, lat, lon, date, start_date, end_date }) {
+  const { start, end } = parseHistoryRange({ date, start_date, end_date });
+  const place = await resolveWeatherPlace({ city, lat, lon });
+  const historyUrl =
+    `https://archive-api.open-meteo.com/v1/archive` +
+    `?latitude=${encodeURIComponent(place.latitude)}` +
+    `&longitude=${encodeURIComponent(place.longitude)}` +
+    `&start_date=${encodeURIComponent(start)}` +
+    `&end_date=${encodeURIComponent(end)}` +
+    `&daily=${OPEN_METEO_DAILY}` +
+    `&timezone=auto`;
+  const historyRes = await fetch(historyUrl);
+  const historyData = await historyRes.json();
+  if (!historyRes.ok || !historyData || !historyData.daily) {
+    throw new Error((historyData && historyData.reason) || "Weather history failed");
+  }
+  const daily = dailyWeatherRows(historyData.daily);
+  return {
+    city: place.name,
+    country: place.country,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    timezone: historyData.timezone || place.timezone,
+    start_date: start,
+    end_date: end,
+    daily,
+    summary: summarizeWeatherDays(daily)
+  };
+}
+
+// Two histories side by side. `other` defaults to the first's city and dates,
+// so comparing two cities or two periods only needs the part that differs.
+// difference is first minus other.
+async function compareWeatherHistory(first, other = {}) {
+  // Without a second place or period there is nothing to compare against.
+  if (!other.city && other.lat === undefined && !other.date && !other.start_date) {
+    throw new Error("Missing other_city or other dates");
+  }
+  const place = other.city || other.lat !== undefined ? other : first;
+  const dates = other.date || other.start_date ? other : first;
+  const second = {
+    city: place.city,
+    lat: place.lat,
+    lon: place.lon,
+    date: dates.date,
+    start_date: dates.start_date,
+    end_date: dates.end_date
+  };
+  const [a, b] = await Promise.all([fetchWeatherHistory(first), fetchWeatherHistory(second)]);
+  const diff = (name) =>
+    a.summary[name] != null && b.summary[name] != null ? roundTo(a.summary[name] - b.summary[name]) : null;
+  return {
+    a,
+    b,
+    difference: {
+      temperature_mean: diff("temperature_mean"),
+      temperature_max: diff("temperature_max"),
+      temperature_min: diff("temperature_min"),
+      precipitation_total: diff("precipitation_total"),
+      rainy_days: a.summary.rainy_days - b.summary.rainy_days
     }
+  };
+}
 
-    res.json({ images });
+function isWeatherInputError(err) {
+  return /^(Invalid |Missing |Range is longer|end_date is before)/.test(err.message);
+}
+
+// ?city= or ?lat=&lon=, and ?date= or ?start_date=&end_date=
+app.get("/api/weather/history", async (req, res) => {
+  const { city, lat, lon, date, start_date, end_date } = req.query;
+  try {
+    res.json(await fetchWeatherHistory({ city, lat, lon, date, start_date, end_date }));
+  } catch (err) {
+    if (isWeatherInputError(err)) return res.status(400).json({ error: err.message });
+    if (err.message === "City not found") return res.status(404).json({ error: err.message });
+    console.error("Weather History Error:", err);
+    res.status(500).json({ error: err.message || "Weather history failed" });
+  }
+});
 
+// The history params, plus other_city / other_lat / other_lon / other_date /
+// other_start_date / other_end_date for the second side.
+app.get("/api/weather/compare", async (req, res) => {
+  const q = req.query;
+  try {
+    res.json(await compareWeatherHistory(
+      { city: q.city, lat: q.lat, lon: q.lon, date: q.date, start_date: q.start_date, end_date: q.end_date },
+      {
+        city: q.other_city,
+        lat: q.other_lat,
+        lon: q.other_lon,
+        date: q.other_date,
+        start_date: q.other_start_date,
+        end_date: q.other_end_date
+      }
+    ));
   } catch (err) {
-    console.error("Pexels Error:", err);
-    res.status(500).json({ error: "Pexels proxy failed" });
+    if (isWeatherInputError(err)) return res.status(400).json({ error: err.message });
+    if (err.message === "City not found") return res.status(404).json({ error: err.message });
+    console.error("Weather Compare Error:", err);
+    res.status(500).json({ error: err.message || "Weather comparison failed" });
   }
 });
 
 // =======================================================
-// 3) PIXABAY — SIMPLE SEARCH
+// WEATHER WALLPAPER
 // =======================================================
-app.get("/api/pixabay", async (req, res) => {
-  const q = req.query.q;
-  if (!q) return res.status(400).json({ error: "Missing ?q=" });
-  const random = req.query.random === "1" || req.query.random === "true";
-  const page = Number(req.query.page || 1);
-  const pickPage = random ? Math.floor(Math.random() * 50) + 1 : page;
-  const ratio = req.query.ratio || "";
-  const orientation = ratio.startsWith("1:1")
-    ? ""
-    : (ratio === "4:3" || ratio === "16:9")
-      ? "horizontal"
-      : (ratio === "3:4" || ratio === "9:16")
-        ? "vertical"
-        : "";
-
-  if (!process.env.PIXABAY_KEY) {
-    return res.status(500).json({ error: "Missing PIXABAY_KEY" });
+// Picks a wallpaper for a location from its current weather: the condition
+// (from `main`), the local time of day and season (from `dt`, `timezone`
+// and the hemisphere) and a temperature band. Each condition maps to a
+// library query and an AI prompt, optionally per time of day; seasons and
+// temperature bands add words to both. WALLPAPER_THEMES_FILE may point at a
+// JSON file with { conditions, seasons, temperatures } to override entries.
+// Recent picks are remembered per session (or per location) and skipped.
+const WALLPAPER_RECENT_MAX = Number(process.env.WALLPAPER_RECENT_MAX) || 20;
+// Per-location history for callers without a session, bounded like the library cache.
+const WALLPAPER_RECENT_TTL_MS = Number(process.env.WALLPAPER_RECENT_TTL_MS) || 24 * 60 * 60 * 1000;
+const WALLPAPER_RECENT_LOCATIONS = Number(process.env.WALLPAPER_RECENT_LOCATIONS) || 500;
+
+const DEFAULT_WALLPAPER_THEMES = {
+  conditions: {
+    clear: {
+      query: "sunny landscape blue sky",
+      prompt: "a wide landscape under a clear blue sky",
+      dawn: { query: "sunrise landscape", prompt: "a quiet landscape at sunrise, soft pink light" },
+      dusk: { query: "golden hour sunset landscape", prompt: "a landscape at golden hour sunset" },
+      night: { query: "starry night sky landscape", prompt: "a calm landscape under a starry night sky" }
+    },
+    clouds: {
+      query: "cloudy sky landscape",
+      prompt: "a landscape under soft rolling clouds",
+      night: { query: "moody night clouds city", prompt: "a moody night scene with low clouds" }
+    },
+    rain: {
+      query: "rainy window city",
+      prompt: "rain drops on a window with blurred city lights behind",
+      night: { query: "rainy night street lights", prompt: "a rainy street at night with glowing reflections" }
+    },
+    thunderstorm: {
+      query: "thunderstorm lightning sky",
+      prompt: "dramatic storm clouds with lightning over a landscape"
+    },
+    snow: {
+      query: "snowy landscape",
+      prompt: "a peaceful snowy landscape with falling snow",
+      night: { query: "snowy night lights", prompt: "a snowy village at night with warm window lights" }
+    },
+    fog: {
+      query: "foggy forest mist",
+      prompt: "a misty forest with soft diffused light"
+    }
+  },
+  seasons: {
+    spring: { query: "spring", prompt: "spring blossoms" },
+    summer: { query: "summer", prompt: "lush summer greenery" },
+    autumn: { query: "autumn", prompt: "autumn colors" },
+    winter: { query: "winter", prompt: "winter atmosphere" }
+  },
+  temperatures: {
+    freezing: { query: "frost", prompt: "icy, freezing cold" },
+    cold: { query: "", prompt: "cold crisp air" },
+    mild: { query: "", prompt: "mild and pleasant" },
+    hot: { query: "", prompt: "hot summer haze" }
   }
-
+};
+
+// OpenWeather and WMO main conditions -> theme keys.
+const WALLPAPER_CONDITIONS = {
+  Clear: "clear",
+  Clouds: "clouds",
+  Rain: "rain",
+  Drizzle: "rain",
+  Thunderstorm: "thunderstorm",
+  Snow: "snow",
+  Fog: "fog",
+  Mist: "fog",
+  Haze: "fog",
+  Smoke: "fog",
+  Dust: "fog",
+  Sand: "fog",
+  Ash: "fog",
+  Squall: "thunderstorm",
+  Tornado: "thunderstorm"
+};
+
+function loadWallpaperThemes() {
+  const themes = {
+    conditions: { ...DEFAULT_WALLPAPER_THEMES.conditions },
+    seasons: { ...DEFAULT_WALLPAPER_THEMES.seasons },
+    temperatures: { ...DEFAULT_WALLPAPER_THEMES.temperatures }
+  };
+  const file = process.env.WALLPAPER_THEMES_FILE;
+  if (!file) return themes;
   try {
-    const orientationParam = orientation ? `&orientation=${orientation}` : "";
-    const url =
-      `https://pixabay.com/api/?key=${encodeURIComponent(process.env.PIXABAY_KEY)}` +
-      `&q=${encodeURIComponent(q)}` +
-      `&image_type=photo` +
-      `&per_page=30` +
-      `&page=${pickPage}` +
-      `${orientationParam}`;
-    const r = await fetch(url);
-    const data = await r.json();
-    if (!r.ok || data.error) {
-      return res.status(500).json({ error: data.error || "Pixabay request failed" });
-    }
-    const images = Array.isArray(data.hits)
-      ? data.hits.map((hit) => hit.largeImageURL || hit.webformatURL).filter(Boolean)
-      : [];
-    const totalHits = Number(data.totalHits || 0);
-    const totalPages = totalHits ? Math.ceil(totalHits / 30) : 1;
-    res.json({ images, totalPages });
+    const custom = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    ["conditions", "seasons", "temperatures"].forEach((group) => {
+      Object.assign(themes[group], custom[group] || {});
+    });
   } catch (err) {
-    console.error("Pixabay Error:", err);
-    res.status(500).json({ error: "Pixabay proxy failed" });
+    console.error(`Could not load WALLPAPER_THEMES_FILE (${file}):`, err.message);
   }
-});
+  return themes;
+}
 
+const wallpaperThemes = loadWallpaperThemes();
+const recentWallpapers = createTtlCache({ ttlMs: WALLPAPER_RECENT_TTL_MS, max: WALLPAPER_RECENT_LOCATIONS });
 
-// =======================================================
-// 4) WEATHER — OPENWEATHER PROXY
-// =======================================================
-app.get("/api/weather", async (req, res) => {
-  const lat = Number(req.query.lat);
-  const lon = Number(req.query.lon);
+function timeOfDay(hour) {
+  if (hour >= 5 && hour < 8) return "dawn";
+  if (hour >= 8 && hour < 17) return "day";
+  if (hour >= 17 && hour < 20) return "dusk";
+  return "night";
+}
 
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    return res.status(400).json({ error: "Missing or invalid lat/lon" });
-  }
+// Meteorological seasons, flipped south of the equator.
+function seasonOf(month, lat) {
+  const north = ["winter", "winter", "spring", "spring", "spring", "summer",
+    "summer", "summer", "autumn", "autumn", "autumn", "winter"][month];
+  if (!(lat < 0)) return north;
+  return { winter: "summer", summer: "winter", spring: "autumn", autumn: "spring" }[north];
+}
 
-  const key = process.env.WEATHER_API_KEY;
-  if (!key) {
-    return res.status(500).json({ error: "Missing WEATHER_API_KEY" });
-  }
+function temperatureBand(temp, units) {
+  if (typeof temp !== "number") return "mild";
+  const celsius = units === "imperial" ? ((temp - 32) * 5) / 9 : temp;
+  if (celsius <= 0) return "freezing";
+  if (celsius < 10) return "cold";
+  if (celsius < 24) return "mild";
+  return "hot";
+}
 
-  try {
-    const url = `https://api.openweathermap.org/data/2.5/weather` +
-      `?lat=${encodeURIComponent(lat)}` +
-      `&lon=${encodeURIComponent(lon)}` +
-      `&units=metric` +
-      `&appid=${encodeURIComponent(key)}`;
+// Current weather -> { condition, time_of_day, season, temperature }
+function wallpaperContext(weather) {
+  const local = new Date(((weather.dt || Math.floor(Date.now() / 1000)) + (weather.timezone || 0)) * 1000);
+  let time = timeOfDay(local.getUTCHours());
+  // Trust the provider's day/night flag over the clock around sunrise/sunset.
+  if (/n$/.test(weather.icon || "") && time === "day") time = "night";
+  return {
+    condition: WALLPAPER_CONDITIONS[weather.main] || "clouds",
+    time_of_day: time,
+    season: seasonOf(local.getUTCMonth(), weather.lat),
+    temperature: temperatureBand(weather.temp, weather.units)
+  };
+}
 
-    const r = await fetch(url);
-    const data = await r.json();
+// -> { query, prompt }
+function wallpaperTheme(context) {
+  const base = wallpaperThemes.conditions[context.condition] || wallpaperThemes.conditions.clouds;
+  const theme = { ...base, ...(base[context.time_of_day] || {}) };
+  const season = wallpaperThemes.seasons[context.season] || {};
+  const temperature = wallpaperThemes.temperatures[context.temperature] || {};
+  const words = [theme.query, season.query, temperature.query].filter(Boolean).join(" ").split(/\s+/);
+  return {
+    query: Array.from(new Set(words)).join(" "),
+    prompt: [theme.prompt, season.prompt, temperature.prompt, "wallpaper, no text"].filter(Boolean).join(", ")
+  };
+}
 
-    if (!r.ok) {
-      return res.status(500).json({ error: data.message || "Weather request failed" });
+function rememberWallpaper(key, sess, id) {
+  const recent = sess ? (sess.recentWallpapers = sess.recentWallpapers || []) : recentWallpapers.get(key) || [];
+  recent.push(id);
+  recent.splice(0, Math.max(0, recent.length - WALLPAPER_RECENT_MAX));
+  if (sess) sessions.markDirty();
+  else recentWallpapers.set(key, recent);
+}
+
+// { city, lat, lon, ratio, ai, sess } -> { image, url, source, ratio, query, prompt, context, weather }
+async function pickWeatherWallpaper({ city, lat, lon, ratio, ai, sess }) {
+  const weather = await fetchCurrentWeather({ city, lat, lon, units: "metric" });
+  const context = wallpaperContext(weather);
+  const theme = wallpaperTheme(context);
+  const recentKey = sess ? "" : `${weather.city || ""}|${weather.lat},${weather.lon}`.toLowerCase();
+  const recent = new Set(sess ? sess.recentWallpapers || [] : recentWallpapers.get(recentKey) || []);
+
+  let image = null;
+  let source = "library";
+  if (ai) {
+    const data = await generateFluxImages({ prompt: theme.prompt, aspect_ratio: ratio });
+    if (!data.images.length) throw new Error("Wallpaper generation returned no image");
+    image = { id: `ai:${data.images[0]}`, provider: "ai", url: data.images[0], alt: theme.prompt };
+    source = "ai";
+  } else {
+    const data = await searchAllLibraries({ query: theme.query, ratio, random: true, filters: {} });
+    image = data.results.find((item) => !recent.has(item.id)) || data.results[0] || null;
+    if (!image) throw new Error("No wallpaper found");
+  }
+
+  rememberWallpaper(recentKey, sess, image.id);
+  return {
+    image,
+    url: image.url,
+    source,
+    ratio,
+    query: theme.query,
+    prompt: theme.prompt,
+    context,
+    weather: {
+      provider: weather.provider,
+      city: weather.city,
+      main: weather.main,
+      description: weather.description,
+      temp: weather.temp,
+      icon: weather.icon,
+      dt: weather.dt,
+      timezone: weather.timezone
     }
+  };
+}
 
-    const info = data.weather && data.weather[0] ? data.weather[0] : {};
-    res.json({
-      city: data.name,
-      temp: data.main ? data.main.temp : null,
-      description: info.description || "",
-      main: info.main || "",
-      icon: info.icon || "",
-      humidity: data.main ? data.main.humidity : null,
-      wind: data.wind ? data.wind.speed : null,
-      dt: data.dt,
-      timezone: data.timezone
-    });
+// ?city= or ?lat=&lon=, &ratio= (default: the session's preferred_ratio, else 16:9),
+// &ai=1 for a generated image, &session= (+ token) to remember picks per session.
+app.get("/api/wallpaper", async (req, res) => {
+  const { city, lat, lon, session } = req.query;
+  if (!city && (lat === undefined || lon === undefined)) {
+    return res.status(400).json({ error: "Missing ?city= or ?lat=&lon=" });
+  }
+
+  let sess = null;
+  if (session) {
+    sess = getSession(session);
+    if (!sess) return res.status(404).json({ error: "Session not found" });
+    if (!authorizeDevice(req, res, sess, DEVICE_ROLES)) return;
+  }
+  const ratio = req.query.ratio || (sess ? getPresenterState(sess).preferred_ratio : "") || "16:9";
+  if (!RATIOS.includes(ratio)) {
+    return res.status(400).json({ error: `Invalid ratio, use one of: ${RATIOS.join(", ")}` });
+  }
+
+  try {
+    res.json(await pickWeatherWallpaper({
+      city,
+      lat,
+      lon,
+      ratio,
+      ai: parseBooleanParam(req.query.ai) === true,
+      sess
+    }));
   } catch (err) {
-    console.error("Weather Error:", err);
-    res.status(500).json({ error: "Weather proxy failed" });
+    if (err.message === "City not found" || err.message === "No wallpaper found") {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error("Wallpaper Error:", err);
+    res.status(500).json({ error: err.message || "Wallpaper failed" });
   }
 });
 
@@ -1167,73 +5200,75 @@ app.post("/api/openai_image", async (req, res) => {
 // =======================================================
 // 6) REPLICATE — Imagen-4
 // =======================================================
-app.post("/api/replicate", async (req, res) => {
-  const { prompt, aspect_ratio, count } = req.body;
-
-  if (!prompt) {
-    return res.status(400).json({ error: "Missing prompt" });
+// Flux Schnell through Replicate; used by the route and the wallpaper picker.
+async function generateFluxImages({ prompt, aspect_ratio, count }) {
+  const token = process.env.REPLICATE_API_TOKEN || process.env.REPLICATE_API_KEY;
+  if (!token) {
+    throw new Error("Missing REPLICATE_API_TOKEN");
   }
 
-  try {
-    const token = process.env.REPLICATE_API_TOKEN || process.env.REPLICATE_API_KEY;
-    if (!token) {
-      return res.status(500).json({ error: "Missing REPLICATE_API_TOKEN" });
+  const response = await fetch(
+    "https://api.replicate.com/v1/models/black-forest-labs/flux-schnell/predictions",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        input: {
+          prompt,
+          num_outputs: count || 1,
+          aspect_ratio: aspect_ratio || "1:1"
+        }
+      })
     }
+  );
 
-    const response = await fetch(
-      "https://api.replicate.com/v1/models/black-forest-labs/flux-schnell/predictions",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          input: {
-            prompt,
-            num_outputs: count || 1,
-            aspect_ratio: aspect_ratio || "1:1"
-          }
-        })
-      }
-    );
+  let prediction = await response.json();
+  if (!response.ok) {
+    throw new Error(prediction.error || "Replicate request failed");
+  }
 
-    let prediction = await response.json();
-    if (!response.ok) {
-      return res.status(500).json({ error: prediction.error || "Replicate request failed" });
+  const startedAt = Date.now();
+  while (
+    prediction.status !== "succeeded" &&
+    prediction.status !== "failed" &&
+    prediction.status !== "canceled"
+  ) {
+    if (Date.now() - startedAt > 120000) {
+      throw new Error("Replicate request timed out");
     }
+    await new Promise((r) => setTimeout(r, 1200));
+    const poll = await fetch(prediction.urls.get, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    prediction = await poll.json();
+  }
 
-    const startedAt = Date.now();
-    while (
-      prediction.status !== "succeeded" &&
-      prediction.status !== "failed" &&
-      prediction.status !== "canceled"
-    ) {
-      if (Date.now() - startedAt > 120000) {
-        return res.status(500).json({ error: "Replicate request timed out" });
-      }
-      await new Promise((r) => setTimeout(r, 1200));
-      const poll = await fetch(prediction.urls.get, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      prediction = await poll.json();
-    }
+  if (prediction.status !== "succeeded") {
+    throw new Error(prediction.error || "Replicate failed");
+  }
 
-    if (prediction.status !== "succeeded") {
-      return res.status(500).json({ error: prediction.error || "Replicate failed" });
-    }
+  const output = Array.isArray(prediction.output) ? prediction.output : [];
+  return {
+    images: output.map((item) => (item && item.url ? item.url : item)),
+    status: prediction.status
+  };
+}
 
-    const output = Array.isArray(prediction.output) ? prediction.output : [];
-    const images = output.map((item) => (item && item.url ? item.url : item));
+app.post("/api/replicate", async (req, res) => {
+  const { prompt, aspect_ratio, count } = req.body;
 
-    res.json({
-      images,
-      status: prediction.status
-    });
+  if (!prompt) {
+    return res.status(400).json({ error: "Missing prompt" });
+  }
 
+  try {
+    res.json(await generateFluxImages({ prompt, aspect_ratio, count }));
   } catch (err) {
     console.error("Replicate Error:", err);
-    res.status(500).json({ error: "Replicate request failed" });
+    res.status(500).json({ error: err.message || "Replicate request failed" });
   }
 });
 
@@ -1314,6 +5349,11 @@ app.post("/api/refine", async (req, res) => {
 // Start server
 // =======================================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 VISTA backend running at http://localhost:${PORT}`);
-});
+// Only listen when run directly; tests require the module for its helpers.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 VISTA backend running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, extractEntities, inferToolFromText, parseCron, nextCronRun };
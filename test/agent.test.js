@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Stub node-fetch before the server loads it. Only OpenAI is called: the
+// scripted tools (set_view without a session) need no other service.
+const openaiRequests = [];
+let script = [];
+require.cache[require.resolve("node-fetch")] = {
+  id: require.resolve("node-fetch"),
+  loaded: true,
+  exports: async (url, options) => {
+    assert.equal(String(url), "https://api.openai.com/v1/responses");
+    const body = JSON.parse(options.body);
+    openaiRequests.push(body);
+    const n = openaiRequests.length;
+    const calls = script[n - 1] || [];
+    const data = calls.length
+      ? {
+        id: `resp_${n}`,
+        output: calls.map((call, i) => ({
+          type: "function_call",
+          id: `fc_${n}_${i}`,
+          call_id: `call_${n}_${i}`,
+          name: call.name,
+          arguments: JSON.stringify(call.args)
+        }))
+      }
+      : { id: `resp_${n}`, output_text: `Answered after ${n} model calls.` };
+    return { ok: true, status: 200, json: async () => data };
+  }
+};
+
+process.env.OPENAI_API_KEY = "test";
+process.env.AGENT_MAX_STEPS = "3";
+const { app } = require("../server");
+
+async function askAgent(message) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/api/agent`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message })
+    });
+    return await r.json();
+  } finally {
+    server.close();
+  }
+}
+
+test.beforeEach(() => {
+  openaiRequests.length = 0;
+});
+
+test("tool outputs are fed back by call_id until the model answers", async () => {
+  script = [
+    [{ name: "set_view", args: { view: "weather" } }],
+    [{ name: "set_view", args: { view: "gallery" } }, { name: "show_image", args: {} }]
+  ];
+  const data = await askAgent("switch views");
+
+  assert.equal(data.stopped, "done");
+  assert.equal(data.reply, "Answered after 3 model calls.");
+  assert.deepEqual(data.steps.map((step) => step.tools.map((tool) => tool.name)), [
+    ["set_view"],
+    ["set_view", "show_image"]
+  ]);
+  assert.deepEqual(data.steps[1].tools[0].result, { view: "gallery" });
+  assert.ok(data.steps[1].tools[1].error);
+
+  const [, second, third] = openaiRequests;
+  assert.equal(second.previous_response_id, "resp_1");
+  assert.deepEqual(second.input.map((item) => item.call_id), ["call_1_0"]);
+  assert.equal(third.previous_response_id, "resp_2");
+  assert.deepEqual(third.input.map((item) => item.call_id), ["call_2_0", "call_2_1"]);
+  assert.deepEqual(JSON.parse(third.input[1].output), { error: data.steps[1].tools[1].error });
+});
+
+test("the step budget ends with a summary call that offers no tools", async () => {
+  script = [1, 2, 3, 4].map(() => [{ name: "set_view", args: { view: "weather" } }]);
+  const data = await askAgent("keep switching");
+
+  assert.equal(data.stopped, "max_steps");
+  assert.equal(data.steps.length, 3);
+  assert.equal(openaiRequests.length, 4);
+  const last = openaiRequests[3];
+  assert.equal(last.tools, undefined);
+  assert.equal(last.input.at(-1).role, "user");
+  assert.deepEqual(last.input.slice(0, -1).map((item) => item.call_id), ["call_3_0"]);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractEntities, inferToolFromText } = require("../server");
+
+// Monday 2026-10-19, local time.
+const NOW = new Date(2026, 9, 19);
+const extract = (message) => extractEntities(message, NOW);
+
+test("relative English days", () => {
+  assert.deepEqual(extract("weather in berlin 3 days ago").periods, [{ start: "2026-10-16", end: "2026-10-16" }]);
+  const monday = extract("what was the weather in new york last monday");
+  assert.deepEqual(monday.periods, [{ start: "2026-10-12", end: "2026-10-12" }]);
+  assert.deepEqual(monday.cities, ["New York"]);
+  assert.equal(monday.tense, "past");
+});
+
+test("relative Chinese days", () => {
+  const ago = extract("三天前北京的天气");
+  assert.deepEqual(ago.periods, [{ start: "2026-10-16", end: "2026-10-16" }]);
+  assert.deepEqual(ago.cities, ["Beijing"]);
+  assert.deepEqual(extract("上个月5号上海天气").periods, [{ start: "2026-09-05", end: "2026-09-05" }]);
+  assert.deepEqual(extract("上周三杭州天气怎么样").periods, [{ start: "2026-10-14", end: "2026-10-14" }]);
+  assert.deepEqual(extract("苏黎世昨天的天气").cities, ["苏黎世"]);
+});
+
+test("Chinese weeks are not read as Sunday before 天气", () => {
+  assert.deepEqual(extract("北京上周天气怎么样").periods, [{ start: "2026-10-12", end: "2026-10-18" }]);
+  assert.deepEqual(extract("这周天气").periods, [{ start: "2026-10-19", end: "2026-10-25" }]);
+  assert.deepEqual(extract("下周天气").periods, [{ start: "2026-10-26", end: "2026-11-01" }]);
+  assert.deepEqual(extract("上周天的天气").periods, [{ start: "2026-10-18", end: "2026-10-18" }]);
+});
+
+test("Chinese weeks are calendar weeks on any weekday", () => {
+  // Wednesday 2026-10-21.
+  const wednesday = (message) => extractEntities(message, new Date(2026, 9, 21));
+  assert.deepEqual(wednesday("北京上周天气").periods, [{ start: "2026-10-12", end: "2026-10-18" }]);
+  assert.deepEqual(wednesday("下周天气").periods, [{ start: "2026-10-26", end: "2026-11-01" }]);
+  assert.deepEqual(wednesday("上周三杭州天气").periods, [{ start: "2026-10-14", end: "2026-10-14" }]);
+  assert.deepEqual(wednesday("这周天气").periods, [{ start: "2026-10-21", end: "2026-10-25" }]);
+  assert.deepEqual(wednesday("weather in berlin last week").periods, [{ start: "2026-10-14", end: "2026-10-20" }]);
+});
+
+test("date ranges", () => {
+  const iso = extract("weather in paris from 2026-10-01 to 2026-10-05");
+  assert.deepEqual(iso.periods, [{ start: "2026-10-01", end: "2026-10-05" }]);
+  assert.deepEqual(iso.cities, ["Paris"]);
+  assert.deepEqual(extract("北京从10月1日到10月5日的天气").periods, [{ start: "2026-10-01", end: "2026-10-05" }]);
+  assert.deepEqual(extract("过去10天深圳的天气").periods, [{ start: "2026-10-09", end: "2026-10-18" }]);
+  assert.deepEqual(extract("weather in tokyo last month").periods, [{ start: "2026-09-01", end: "2026-09-30" }]);
+});
+
+test("counts, ratios and sources", () => {
+  assert.equal(extract("generate 4 images of a cat").count, 4);
+  const photos = extract("show me 4 widescreen photos of cats in snow");
+  assert.equal(photos.count, 4);
+  assert.equal(photos.ratio, "16:9");
+  const zh = extract("画三张竖屏的猫");
+  assert.equal(zh.count, 3);
+  assert.equal(zh.ratio, "9:16");
+  assert.equal(extract("找一些16:9的海边日落图片").ratio, "16:9");
+  assert.equal(extract("search cats in snow on unsplash").source, "unsplash");
+});
+
+test("two-city compare", () => {
+  assert.deepEqual(extract("compare paris and london weather last week").cities, ["Paris", "London"]);
+  assert.deepEqual(extract("compare weather in paris and london last week").cities, ["Paris", "London"]);
+  assert.deepEqual(extract("weather in paris vs london yesterday").cities, ["Paris", "London"]);
+  assert.deepEqual(extract("对比北京和上海上周的天气").cities, ["Beijing", "Shanghai"]);
+});
+
+test("inferred tool args", () => {
+  const [compare] = inferToolFromText("compare paris and london weather last week").tools;
+  assert.equal(compare.name, "compare_weather_history");
+  assert.equal(compare.args.city, "Paris");
+  assert.equal(compare.args.other_city, "London");
+
+  const [search] = inferToolFromText("show me 4 widescreen photos of cats in snow").tools;
+  assert.equal(search.name, "search_library");
+  assert.equal(search.args.query, "cats in snow");
+  assert.equal(search.args.ratio, "16:9");
+
+  const [generate] = inferToolFromText("generate 4 images of a cat in widescreen").tools;
+  assert.equal(generate.name, "generate_ai");
+  assert.deepEqual(generate.args, { prompt: "cat", aspect_ratio: "16:9", count: 4 });
+});
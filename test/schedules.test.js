@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextCronRun } = require("../server");
+
+const next = (expression, timeZone, after) =>
+  new Date(nextCronRun(expression, timeZone, Date.parse(after))).toISOString();
+
+test("cron fields", () => {
+  const cron = parseCron("*/15 9-17 * * mon-fri");
+  assert.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+  assert.equal(cron.hour.values.size, 9);
+  assert.deepEqual([...cron.weekday.values], [1, 2, 3, 4, 5]);
+  assert.ok(parseCron("0 0 * * 7").weekday.values.has(0));
+});
+
+test("star steps leave day fields unrestricted", () => {
+  const cron = parseCron("0 0 */2 * 1");
+  assert.equal(cron.day.any, true);
+  assert.equal(cron.weekday.any, false);
+  assert.equal(parseCron("0 0 1-5 * *").day.any, false);
+});
+
+test("invalid cron is rejected", () => {
+  ["* * * *", "60 * * * *", "1- * * * *", "0 0 ,5 * *", "*/0 * * * *", "0 0 31-1 * *"].forEach((expression) => {
+    assert.throws(() => parseCron(expression), expression);
+  });
+});
+
+test("next run in a time zone", () => {
+  assert.equal(next("0 7 * * 1-5", "Europe/Berlin", "2026-10-19T12:00:00Z"), "2026-10-20T05:00:00.000Z");
+  assert.equal(next("0 7 * * 1-5", "Europe/Berlin", "2026-10-23T12:00:00Z"), "2026-10-26T06:00:00.000Z");
+  // Day of month and weekday both restricted: either matches.
+  assert.equal(next("0 12 1 * 5", "UTC", "2026-10-19T00:00:00Z"), "2026-10-23T12:00:00.000Z");
+  assert.equal(nextCronRun("0 0 30 2 *", "UTC", Date.parse("2026-01-01T00:00:00Z")), null);
+});
+
+test("next run across DST transitions", () => {
+  // 2027-03-14 is a 23-hour day in New York.
+  assert.equal(next("30 0 * * 1", "America/New_York", "2027-03-13T12:00:00Z"), "2027-03-15T04:30:00.000Z");
+  assert.equal(next("30 0 15 * *", "America/New_York", "2027-03-13T12:00:00Z"), "2027-03-15T04:30:00.000Z");
+  assert.equal(next("30 2 * * *", "America/New_York", "2027-03-14T05:00:00Z"), "2027-03-15T06:30:00.000Z");
+  // 2027-11-07 is a 25-hour day.
+  assert.equal(next("30 0 * * 1", "America/New_York", "2027-11-06T12:00:00Z"), "2027-11-08T05:30:00.000Z");
+  assert.equal(next("0 9 * * *", "Europe/Berlin", "2026-10-25T00:00:00Z"), "2026-10-25T08:00:00.000Z");
+});